@@ -0,0 +1,84 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { initializeApp, deleteApp } from 'firebase/app'
+import { getAuth, connectAuthEmulator, signInAnonymously } from 'firebase/auth'
+import { EMULATOR_DEMO_CONFIG, EMULATOR_PORTS } from '../src/lib/firebase'
+import { registerWithPassword, signInWithPassword, signOutAccount, isAccountConflict, authErrorMessage } from '../src/lib/account'
+
+// `firebase emulators:exec` sets the host; the fallback matches firebase.json
+const HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || `127.0.0.1:${EMULATOR_PORTS.auth}`
+const EMAIL = 'ann@example.com'
+const PASSWORD = 'secret123'
+
+let app
+let auth
+
+const clearAccounts = () => fetch(`http://${HOST}/emulator/v1/projects/${EMULATOR_DEMO_CONFIG.projectId}/accounts`, { method: 'DELETE' })
+
+// Leaves ann's account behind and nobody signed in
+async function seedAccount() {
+  const user = await registerWithPassword(auth, EMAIL, PASSWORD)
+  await signOutAccount(auth)
+  return user
+}
+
+beforeAll(() => {
+  app = initializeApp(EMULATOR_DEMO_CONFIG, 'auth-test')
+  auth = getAuth(app)
+  connectAuthEmulator(auth, `http://${HOST}`, { disableWarnings: true })
+})
+
+beforeEach(async () => {
+  await signOutAccount(auth)
+  await clearAccounts()
+})
+
+afterAll(() => app && deleteApp(app))
+
+describe('registerWithPassword', () => {
+  it('links a guest so it keeps its uid', async () => {
+    const guest = (await signInAnonymously(auth)).user
+    const user = await registerWithPassword(auth, EMAIL, PASSWORD)
+    expect(user).toMatchObject({ uid: guest.uid, email: EMAIL, isAnonymous: false })
+    expect(auth.currentUser.uid).toBe(guest.uid)
+  })
+
+  it('creates a new account when nobody is signed in', async () => {
+    const user = await registerWithPassword(auth, EMAIL, PASSWORD)
+    expect(user).toMatchObject({ email: EMAIL, isAnonymous: false })
+  })
+
+  it('reports a taken address as a conflict and leaves the guest signed in', async () => {
+    await seedAccount()
+    const guest = (await signInAnonymously(auth)).user
+    const error = await registerWithPassword(auth, EMAIL, PASSWORD).catch(e => e)
+    expect(error.code).toBe('auth/email-already-in-use')
+    expect(isAccountConflict(error)).toBe(true)
+    expect(auth.currentUser).toMatchObject({ uid: guest.uid, isAnonymous: true })
+  })
+})
+
+describe('signInWithPassword', () => {
+  it('signs into the existing account', async () => {
+    const { uid } = await seedAccount()
+    const user = await signInWithPassword(auth, EMAIL, PASSWORD)
+    expect(user.uid).toBe(uid)
+    expect(auth.currentUser.uid).toBe(uid)
+  })
+
+  it('refuses a wrong password', async () => {
+    await seedAccount()
+    const error = await signInWithPassword(auth, EMAIL, 'nope1234').catch(e => e)
+    expect(isAccountConflict(error)).toBe(false)
+    expect(authErrorMessage(error)).toBe('Wrong email or password.')
+    expect(auth.currentUser).toBeNull()
+  })
+})
+
+describe('signOutAccount', () => {
+  it('clears the current user', async () => {
+    await registerWithPassword(auth, EMAIL, PASSWORD)
+    expect(auth.currentUser).not.toBeNull()
+    await signOutAccount(auth)
+    expect(auth.currentUser).toBeNull()
+  })
+})
@@ -0,0 +1,219 @@
+import { readFileSync } from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing'
+import { collection, doc, getDoc, getDocs, setDoc, query, where, orderBy, serverTimestamp, arrayUnion, arrayRemove, Timestamp } from 'firebase/firestore'
+
+const BASE = 'artifacts/app/users/alice/selphi_data'
+const PAST = Timestamp.fromDate(new Date('2024-01-01T00:00:00Z'))
+const FUTURE = Timestamp.fromDate(new Date(Date.now() + 24 * 3600 * 1000))
+
+let env
+
+const db = (uid) => (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).firestore()
+const ref = (uid, path) => doc(db(uid), `${BASE}/${path}`)
+const col = (uid, path) => collection(db(uid), `${BASE}/${path}`)
+const dueOn = (uid, path, pageId) => query(col(uid, path), where('pageId', '==', pageId), where('timestamp', '<=', Timestamp.now()), orderBy('timestamp', 'desc'))
+const onPage = (uid, path, pageId) => query(col(uid, path), where('pageId', '==', pageId))
+
+// alice owns the pages; grace is on the custom page's share list; ivan holds its invite code; sam is a stranger
+async function seed() {
+  await env.withSecurityRulesDisabled(async (ctx) => {
+    const set = (path, data) => setDoc(doc(ctx.firestore(), `${BASE}/${path}`), data)
+    await set('niche_pages/pub', { name: 'Public', privacyLevel: 'public', userId: 'alice' })
+    await set('niche_pages/cust', { name: 'Custom', privacyLevel: 'custom', userId: 'alice' })
+    await set('niche_pages/priv', { name: 'Private', privacyLevel: 'private', userId: 'alice' })
+    await set('niche_pages/cust/access/settings', { sharedWith: ['grace'], inviteCodes: ['code1'] })
+    for (const pageId of ['pub', 'cust', 'priv']) {
+      await set(`widgets/w-${pageId}`, { pageId, type: 'poll', content: 'Yes\nNo' })
+      await set(`feed_posts/p-${pageId}`, { pageId, content: 'hello', timestamp: PAST })
+    }
+    await set('feed_posts/p-future', { pageId: 'pub', content: 'later', timestamp: FUTURE, scheduled: true })
+  })
+}
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-selphi',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  })
+})
+
+beforeEach(async () => {
+  await env.clearFirestore()
+  await seed()
+})
+
+afterAll(() => env?.cleanup())
+
+describe('niche_pages', () => {
+  it('lets the owner get and list everything', async () => {
+    await assertSucceeds(getDoc(ref('alice', 'niche_pages/priv')))
+    await assertSucceeds(getDocs(col('alice', 'niche_pages')))
+    await assertSucceeds(getDoc(ref('alice', 'niche_pages/cust/access/settings')))
+  })
+
+  it('lets anyone get a public page, but not list pages', async () => {
+    await assertSucceeds(getDoc(ref('sam', 'niche_pages/pub')))
+    await assertSucceeds(getDoc(ref(null, 'niche_pages/pub')))
+    await assertFails(getDocs(col('sam', 'niche_pages')))
+  })
+
+  it('keeps custom and private pages from strangers', async () => {
+    await assertFails(getDoc(ref('sam', 'niche_pages/cust')))
+    await assertFails(getDoc(ref('sam', 'niche_pages/priv')))
+    await assertFails(getDoc(ref(null, 'niche_pages/cust')))
+  })
+
+  it('lets a grantee get the custom page only', async () => {
+    await assertSucceeds(getDoc(ref('grace', 'niche_pages/cust')))
+    await assertFails(getDoc(ref('grace', 'niche_pages/priv')))
+    await assertFails(getDocs(col('grace', 'niche_pages')))
+  })
+
+  it('lets the owner merge grants into the access doc without reading it first', async () => {
+    const access = ref('alice', 'niche_pages/cust/access/settings')
+    await assertSucceeds(setDoc(access, { sharedWith: arrayUnion('sam') }, { merge: true }))
+    await assertSucceeds(setDoc(access, { inviteCodes: arrayRemove('code1') }, { merge: true }))
+    const snap = await getDoc(access)
+    expect(snap.data()).toEqual({ sharedWith: ['grace', 'sam'], inviteCodes: [] })
+    await assertSucceeds(getDoc(ref('sam', 'niche_pages/cust')))
+  })
+
+  it('keeps the share list and invite codes owner-only', async () => {
+    await assertFails(getDoc(ref('grace', 'niche_pages/cust/access/settings')))
+    await assertFails(getDoc(ref('sam', 'niche_pages/pub/access/settings')))
+    await assertFails(setDoc(ref('grace', 'niche_pages/cust/access/settings'), { sharedWith: ['sam'] }))
+  })
+})
+
+describe('invite redemption', () => {
+  it('admits a holder of a live code', async () => {
+    await assertFails(getDoc(ref('ivan', 'niche_pages/cust')))
+    await assertSucceeds(setDoc(ref('ivan', 'niche_pages/cust/members/ivan'), { code: 'code1', joinedAt: serverTimestamp() }))
+    await assertSucceeds(getDoc(ref('ivan', 'niche_pages/cust')))
+    await assertSucceeds(getDocs(onPage('ivan', 'widgets', 'cust')))
+    await assertSucceeds(getDocs(dueOn('ivan', 'feed_posts', 'cust')))
+  })
+
+  it('refuses unknown codes, other uids and extra fields', async () => {
+    await assertFails(setDoc(ref('ivan', 'niche_pages/cust/members/ivan'), { code: 'nope', joinedAt: serverTimestamp() }))
+    await assertFails(setDoc(ref('ivan', 'niche_pages/cust/members/sam'), { code: 'code1', joinedAt: serverTimestamp() }))
+    await assertFails(setDoc(ref('ivan', 'niche_pages/cust/members/ivan'), { code: 'code1', role: 'admin' }))
+    await assertFails(setDoc(ref(null, 'niche_pages/cust/members/ivan'), { code: 'code1' }))
+  })
+})
+
+describe('widgets', () => {
+  it('follow the page they sit on', async () => {
+    await assertSucceeds(getDocs(col('alice', 'widgets')))
+    await assertSucceeds(getDoc(ref('sam', 'widgets/w-pub')))
+    await assertSucceeds(getDocs(onPage('sam', 'widgets', 'pub')))
+    await assertFails(getDoc(ref('sam', 'widgets/w-cust')))
+    await assertFails(getDocs(onPage('sam', 'widgets', 'cust')))
+    await assertSucceeds(getDoc(ref('grace', 'widgets/w-cust')))
+    await assertSucceeds(getDocs(onPage('grace', 'widgets', 'cust')))
+    await assertFails(getDocs(onPage('grace', 'widgets', 'priv')))
+    await assertFails(getDocs(col('sam', 'widgets')))
+  })
+})
+
+describe('feed_posts', () => {
+  it('lets the owner read scheduled posts', async () => {
+    await assertSucceeds(getDoc(ref('alice', 'feed_posts/p-future')))
+    await assertSucceeds(getDocs(onPage('alice', 'feed_posts', 'pub')))
+  })
+
+  it('lets viewers read due posts of pages they can see', async () => {
+    await assertSucceeds(getDoc(ref('sam', 'feed_posts/p-pub')))
+    await assertSucceeds(getDocs(dueOn('sam', 'feed_posts', 'pub')))
+    await assertSucceeds(getDocs(dueOn(null, 'feed_posts', 'pub')))
+    await assertSucceeds(getDoc(ref('grace', 'feed_posts/p-cust')))
+    await assertSucceeds(getDocs(dueOn('grace', 'feed_posts', 'cust')))
+  })
+
+  it('hides scheduled posts from everyone but the owner', async () => {
+    await assertFails(getDoc(ref('sam', 'feed_posts/p-future')))
+    await assertFails(getDocs(onPage('sam', 'feed_posts', 'pub')))
+    await assertFails(getDocs(query(col('sam', 'feed_posts'), where('pageId', '==', 'pub'), where('timestamp', '<=', FUTURE))))
+  })
+
+  it('keeps posts of custom and private pages from strangers', async () => {
+    await assertFails(getDoc(ref('sam', 'feed_posts/p-cust')))
+    await assertFails(getDocs(dueOn('sam', 'feed_posts', 'cust')))
+    await assertFails(getDocs(dueOn('grace', 'feed_posts', 'priv')))
+  })
+})
+
+describe('notifications', () => {
+  const note = (actorId, pageId, extra = {}) => ({ kind: 'comment', actorId, actorName: 'Sam', pageId, postId: `p-${pageId}`, text: 'Nice', read: false, createdAt: serverTimestamp(), ...extra })
+
+  it('lets a visitor notify the owner about a page they can see', async () => {
+    await assertSucceeds(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub')))
+    await assertSucceeds(setDoc(ref('grace', 'notifications/n2'), note('grace', 'cust')))
+  })
+
+  it('refuses spoofed, hidden-page, pre-read and anonymous notifications', async () => {
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('grace', 'pub')))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'cust')))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { read: true })))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { kind: 'admin' })))
+    await assertFails(setDoc(ref(null, 'notifications/n1'), note('sam', 'pub')))
+  })
+
+  it('refuses backdated notifications and oversized or non-string names', async () => {
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { createdAt: PAST })))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { createdAt: FUTURE })))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { actorName: 'x'.repeat(101) })))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { actorName: { first: 'Sam' } })))
+    await assertFails(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { text: ['Nice'] })))
+    await assertSucceeds(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub', { actorName: 'x'.repeat(100) })))
+    const { actorName, ...anonymous } = note('sam', 'pub')
+    await assertSucceeds(setDoc(ref('sam', 'notifications/n2'), anonymous))
+  })
+
+  it('keeps notifications readable by the owner only', async () => {
+    await assertSucceeds(setDoc(ref('sam', 'notifications/n1'), note('sam', 'pub')))
+    await assertFails(getDoc(ref('sam', 'notifications/n1')))
+    await assertSucceeds(getDoc(ref('alice', 'notifications/n1')))
+  })
+})
+
+describe('poll votes', () => {
+  const vote = { choice: 'Yes', at: serverTimestamp() }
+
+  it('lets viewers vote once under their own uid', async () => {
+    await assertSucceeds(setDoc(ref('sam', 'widgets/w-pub/votes/sam'), vote))
+    await assertSucceeds(setDoc(ref('grace', 'widgets/w-cust/votes/grace'), vote))
+    await assertSucceeds(getDocs(col('sam', 'widgets/w-pub/votes')))
+  })
+
+  it('refuses votes for others, on hidden widgets or with extra fields', async () => {
+    await assertFails(setDoc(ref('sam', 'widgets/w-pub/votes/grace'), vote))
+    await assertFails(setDoc(ref('sam', 'widgets/w-cust/votes/sam'), vote))
+    await assertFails(setDoc(ref('sam', 'widgets/w-pub/votes/sam'), { ...vote, weight: 10 }))
+    await assertFails(setDoc(ref(null, 'widgets/w-pub/votes/anon'), vote))
+  })
+})
+
+describe('reactions and comments', () => {
+  const reaction = (userId, extra = {}) => ({ userId, key: 'heart', createdAt: serverTimestamp(), ...extra })
+  const comment = (authorId, extra = {}) => ({ authorId, authorName: 'Sam', content: 'Nice', parentId: null, hidden: false, createdAt: serverTimestamp(), ...extra })
+
+  it('lets viewers react and comment with exactly the fields the app writes', async () => {
+    await assertSucceeds(setDoc(ref('sam', 'feed_posts/p-pub/reactions/sam_heart'), reaction('sam')))
+    await assertSucceeds(setDoc(ref('sam', 'feed_posts/p-pub/comments/c1'), comment('sam')))
+    const { authorName, ...anonymous } = comment('sam', { parentId: 'c1' })
+    await assertSucceeds(setDoc(ref('sam', 'feed_posts/p-pub/comments/c2'), anonymous))
+  })
+
+  it('refuses extra fields', async () => {
+    await assertFails(setDoc(ref('sam', 'feed_posts/p-pub/reactions/sam_heart'), reaction('sam', { weight: 10 })))
+    await assertFails(setDoc(ref('sam', 'feed_posts/p-pub/comments/c1'), comment('sam', { pinned: true })))
+  })
+
+  it('refuses oversized or non-string author names', async () => {
+    await assertFails(setDoc(ref('sam', 'feed_posts/p-pub/comments/c1'), comment('sam', { authorName: 'x'.repeat(81) })))
+    await assertFails(setDoc(ref('sam', 'feed_posts/p-pub/comments/c1'), comment('sam', { authorName: { first: 'Sam' } })))
+    await assertSucceeds(setDoc(ref('sam', 'feed_posts/p-pub/comments/c1'), comment('sam', { authorName: 'x'.repeat(80) })))
+  })
+})
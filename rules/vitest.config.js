@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// These tests talk to the Firestore and Auth emulators, so they run on their own through `npm run test:rules`
+export default defineConfig({
+  test: {
+    include: ['rules/**/*.test.js'],
+    testTimeout: 20000,
+    fileParallelism: false,
+  },
+})
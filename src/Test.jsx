@@ -1,127 +1,152 @@
-import { useState, useEffect } from 'react'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { onAuthStateChanged } from 'firebase/auth'
+import { doc, setDoc, getDocFromServer, deleteDoc, serverTimestamp } from 'firebase/firestore'
+import { CheckCircle2, XCircle, AlertTriangle, MinusCircle, Loader2, RefreshCw } from 'lucide-react'
+import { SETTINGS_KEYS, ENV_EMULATORS, EMULATOR_DEMO_CONFIG, EMULATOR_HOST, configErrors, readSetting, initFirebase } from './lib/firebase'
+import { PROFILE_KEYS, DEFAULT_PROFILE_ID, profileAppName } from './lib/profiles'
 
-function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
+const TIMEOUT_MS = 10000
 
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
+const statusIcons = {
+  ok: <CheckCircle2 size={16} className="text-green-400" />,
+  fail: <XCircle size={16} className="text-red-400" />,
+  warn: <AlertTriangle size={16} className="text-amber-400" />,
+  skip: <MinusCircle size={16} className="text-gray-500" />,
+  running: <Loader2 size={16} className="text-indigo-400 animate-spin" />,
+}
 
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+// Firestore writes queue forever while offline, so every network check gets a deadline
+function withTimeout(promise, label) {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${label} timed out after ${TIMEOUT_MS / 1000}s`)), TIMEOUT_MS) }),
+  ]).finally(() => clearTimeout(timer))
+}
+
+// Resolves with the first auth state Firebase restores from persistence
+const firstAuthState = (auth) => new Promise((resolve) => {
+  const unsub = onAuthStateChanged(auth, (u) => { unsub(); resolve(u) })
+})
 
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
+// Connection diagnostics for the settings Selphi saved in this browser
+function Test() {
+  const [checks, setChecks] = useState([])
+  const [running, setRunning] = useState(false)
+  const runId = useRef(0)
+  const emulators = readSetting(SETTINGS_KEYS.emulators, ENV_EMULATORS)
+  const appId = readSetting(SETTINGS_KEYS.appId, import.meta.env.VITE_APP_ID || '')
+  // Same app name as Selphi uses for the active profile, so the check sees that profile's session
+  const appName = profileAppName(readSetting(PROFILE_KEYS.active, DEFAULT_PROFILE_ID))
+
+  const run = useCallback(async () => {
+    // A newer run (or StrictMode's second effect) supersedes this one
+    const id = ++runId.current
+    setRunning(true)
+    setChecks([])
+    const record = (check) => { if (id === runId.current) setChecks(list => [...list, check]) }
+    const skip = (label, detail) => record({ label, status: 'skip', detail })
+
+    // Runs one check, timing it; returns undefined when it failed
+    const timed = async (label, fn) => {
+      const start = performance.now()
+      try {
+        const { status = 'ok', detail, value } = await fn()
+        record({ label, status, detail, ms: Math.round(performance.now() - start) })
+        return value ?? true
+      } catch (e) {
+        record({ label, status: 'fail', detail: e.code ? `${e.code}: ${e.message}` : e.message, ms: Math.round(performance.now() - start) })
       }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
     }
-  }
 
-  const checkDatabaseConnection = async (baseUrl) => {
     try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+      const raw = readSetting(SETTINGS_KEYS.config, import.meta.env.VITE_FIREBASE_CONFIG || '')
+      const config = await timed('Firebase config', async () => {
+        const errors = configErrors(raw)
+        if (!errors.length) {
+          const value = typeof raw === 'string' ? JSON.parse(raw) : raw
+          return { detail: `Project ${value.projectId}`, value }
+        }
+        if (emulators && !raw) return { status: 'warn', detail: `No config saved; using emulator project ${EMULATOR_DEMO_CONFIG.projectId}`, value: EMULATOR_DEMO_CONFIG }
+        throw new Error(errors.join('; '))
       })
 
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
+      await timed('App ID', async () => {
+        if (!appId) throw new Error('Not set. Selphi stores data under artifacts/{appId}, so add one in Settings.')
+        return { detail: appId }
+      })
+
+      const remaining = ['Initialize', 'Auth state', 'Test write', 'Test read', 'Cleanup']
+      if (!config) return remaining.forEach(l => skip(l, 'Needs a valid config'))
+
+      const instances = await timed('Initialize', async () => ({
+        detail: emulators ? `Emulators on ${EMULATOR_HOST}` : 'Production services',
+        value: initFirebase(config, { emulators, name: appName }),
+      }))
+      if (!instances) return remaining.slice(1).forEach(l => skip(l, 'Firebase did not initialize'))
+
+      const user = await timed('Auth state', async () => {
+        const u = await withTimeout(firstAuthState(instances.auth), 'Auth')
+        if (!u) return { status: 'warn', detail: 'Not signed in. Open Selphi once to sign in, then run again.', value: false }
+        return { detail: `${u.isAnonymous ? 'Guest' : u.email || 'Signed in'} · ${u.uid}`, value: u }
+      })
+      if (!user || !appId) return remaining.slice(2).forEach(l => skip(l, appId ? 'Needs a signed-in user' : 'Needs an App ID'))
+
+      const ref = doc(instances.db, `artifacts/${appId}/users/${user.uid}/selphi_data/diagnostics`, 'ping')
+      const wrote = await timed('Test write', async () => {
+        await withTimeout(setDoc(ref, { at: serverTimestamp(), userAgent: navigator.userAgent }), 'Write')
+        return { detail: ref.path }
+      })
+      if (!wrote) return remaining.slice(3).forEach(l => skip(l, 'Write failed'))
+
+      await timed('Test read', async () => {
+        const snap = await withTimeout(getDocFromServer(ref), 'Read')
+        if (!snap.exists()) throw new Error('Document written above was not found on the server')
+        return { detail: 'Read back from the server' }
+      })
+
+      await timed('Cleanup', async () => {
+        await withTimeout(deleteDoc(ref), 'Delete')
+        return { detail: 'Removed the test document' }
+      })
+    } finally {
+      if (id === runId.current) setRunning(false)
     }
-  }
+  }, [emulators, appId])
+
+  useEffect(() => { run() }, [run])
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
-
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
-          </div>
-
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
-          </div>
-
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
+    <div className="min-h-screen bg-gray-950 text-gray-100 flex items-center justify-center p-6">
+      <div className="w-full max-w-xl bg-gray-900 border border-white/10 rounded-2xl p-5">
+        <div className="flex items-center justify-between mb-1">
+          <h1 className="text-xl font-semibold tracking-tight">Selphi diagnostics</h1>
+          <button onClick={run} disabled={running} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50">
+            <RefreshCw size={12} className={running ? 'animate-spin' : ''} /> Run again
           </button>
-
-          <a
-            href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
-          >
-            Back to Home
-          </a>
         </div>
+        <p className="text-xs text-gray-400 mb-4">{emulators ? 'Emulator mode' : 'Production mode'} · checks the Firebase settings saved in this browser</p>
+
+        <ul className="space-y-2">
+          {checks.map(c => (
+            <li key={c.label} className="flex items-start gap-3 bg-white/5 rounded-xl px-3 py-2">
+              <span className="mt-0.5">{statusIcons[c.status]}</span>
+              <div className="min-w-0 flex-1">
+                <div className="text-sm">{c.label}</div>
+                {c.detail && <div className="text-xs text-gray-400 break-words">{c.detail}</div>}
+              </div>
+              {c.ms != null && <span className="text-xs text-gray-500 font-mono tabular-nums">{c.ms} ms</span>}
+            </li>
+          ))}
+          {running && (
+            <li className="flex items-center gap-3 px-3 py-2 text-sm text-gray-400">{statusIcons.running} Running…</li>
+          )}
+        </ul>
+
+        <a href="/" className="block mt-5 text-center text-sm px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500">Back to Selphi</a>
       </div>
     </div>
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
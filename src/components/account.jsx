@@ -0,0 +1,146 @@
+import React, { useState } from 'react'
+import { X, Copy, LogOut, Mail, KeyRound } from 'lucide-react'
+import { cls } from '../lib/cls'
+import { registerWithPassword, signInWithPassword, sendEmailLink, completeEmailLink, switchWithEmailLink, isAccountConflict, savedLinkEmail, authErrorMessage } from '../lib/account'
+import { downloadText } from '../lib/download'
+
+const inputClass = 'w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm'
+
+// Guests pick between saving the current account (keeps data) and switching to an existing one.
+// `finishingLink` is set when the page was opened from a sign-in email on another device;
+// `initialConflict` when that link's address already has an account of its own.
+// `guestStore` and `storeFor` let the guest's pages come along into that account.
+export default function AccountModal({ auth, account, finishingLink, initialError = null, initialConflict = false, guestStore, storeFor, onChange, onSignOut, onClose }) {
+  const [mode, setMode] = useState(initialConflict ? 'conflict' : finishingLink ? 'finish' : account?.isAnonymous ? 'register' : 'signin')
+  const [email, setEmail] = useState(finishingLink ? savedLinkEmail() : '')
+  const [password, setPassword] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(initialError)
+  const [notice, setNotice] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const run = async (action) => {
+    setBusy(true); setError(null); setNotice(null)
+    try { await action() } catch (e) { setError(authErrorMessage(e)) } finally { setBusy(false) }
+  }
+
+  const submit = () => run(async () => {
+    const addr = email.trim()
+    if (mode === 'link') {
+      await sendEmailLink(auth, addr)
+      setNotice(`Sign-in link sent to ${addr}. Open it in this browser to finish.`)
+      return
+    }
+    let user
+    try {
+      user = mode === 'register' ? await registerWithPassword(auth, addr, password)
+        : mode === 'finish' ? await completeEmailLink(auth, addr)
+        : await signInWithPassword(auth, addr, password)
+    } catch (e) {
+      if (mode !== 'finish' || !isAccountConflict(e)) throw e
+      setMode('conflict')
+      return
+    }
+    onChange(user)
+    setPassword('')
+    setNotice(mode === 'register' ? 'Account saved. Your pages stay with it.' : `Signed in as ${user.email}.`)
+  })
+
+  // The address has its own account: the guest's pages are copied into it or left behind
+  const switchAccount = (copyGuest) => run(async () => {
+    const result = await switchWithEmailLink(auth, email.trim(), copyGuest ? { guestStore, storeFor } : {})
+    onChange(result.user)
+    if (result.copyError) {
+      downloadText(`selphi-guest-${result.archive.exportedAt.slice(0, 10)}.json`, JSON.stringify(result.archive, null, 2), 'application/json')
+      setError(`Signed in, but copying the guest pages failed: ${result.copyError.message} They were downloaded as an archive you can import from Settings.`)
+      return
+    }
+    const n = result.copied?.niche_pages
+    setNotice(result.copied ? `Signed in as ${result.user.email}. Copied ${n} guest ${n === 1 ? 'page' : 'pages'}.` : `Signed in as ${result.user.email}.`)
+  })
+
+  const copyUid = async () => {
+    try { await navigator.clipboard.writeText(account.uid); setCopied(true) } catch {}
+  }
+
+  const tabs = [
+    account?.isAnonymous && { key: 'register', label: 'Save account', icon: KeyRound },
+    { key: 'signin', label: 'Sign in', icon: KeyRound },
+    { key: 'link', label: 'Email link', icon: Mail },
+  ].filter(Boolean)
+  const needsPassword = mode === 'register' || mode === 'signin'
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-900 border border-white/10 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-medium">Account</h3>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+        </div>
+        {account && (
+          <div className="flex items-center gap-2 bg-white/5 rounded-xl px-3 py-2 mb-3 text-sm">
+            <div className="min-w-0 flex-1">
+              <div className="truncate">{account.isAnonymous ? 'Guest account' : account.email || 'Signed in'}</div>
+              <div className="text-[11px] text-gray-500 font-mono truncate">{account.uid}</div>
+            </div>
+            <button onClick={copyUid} title="Copy user ID for sharing" className="inline-flex items-center gap-1 p-1 text-xs rounded hover:bg-white/10 text-gray-400 hover:text-gray-100"><Copy size={12}/>{copied && 'Copied'}</button>
+          </div>
+        )}
+        {account?.isAnonymous && mode !== 'finish' && mode !== 'conflict' && (
+          <p className="text-xs text-amber-300/90 mb-3">
+            {mode === 'register' || mode === 'link'
+              ? 'Guest data lives only in this browser session. Save the account with an email to keep it.'
+              : 'Signing in switches accounts. Pages made as a guest stay with the guest account.'}
+          </p>
+        )}
+        {mode === 'conflict' && (account?.isAnonymous || finishingLink) && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-300">{email.trim()} already has an account. Signing in to it leaves this guest account behind.</p>
+            {guestStore && (
+              <button onClick={() => switchAccount(true)} disabled={busy} className="w-full px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">
+                {busy ? 'Working…' : 'Copy guest pages and sign in'}
+              </button>
+            )}
+            <button onClick={() => switchAccount(false)} disabled={busy} className="w-full px-3 py-2 rounded-lg bg-white/5 text-red-400 hover:bg-red-500/10 disabled:opacity-50">
+              {guestStore ? 'Sign in and discard guest pages' : 'Sign in'}
+            </button>
+          </div>
+        )}
+        {mode !== 'conflict' && (account?.isAnonymous || !account || finishingLink) && (
+          <div className="space-y-3">
+            {mode !== 'finish' && (
+              <div className="flex gap-1 bg-white/5 rounded-lg p-1">
+                {tabs.map(t => (
+                  <button key={t.key} onClick={() => { setMode(t.key); setError(null); setNotice(null) }} className={cls('flex-1 inline-flex items-center justify-center gap-1 px-2 py-1.5 text-xs rounded-md', mode === t.key ? 'bg-white/10 text-gray-100' : 'text-gray-400 hover:text-gray-200')}>
+                    <t.icon size={12}/> {t.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {mode === 'finish' && <p className="text-sm text-gray-300">Confirm the email address this sign-in link was sent to.</p>}
+            <div>
+              <label className="text-xs text-gray-400">Email</label>
+              <input type="email" autoComplete="email" value={email} onChange={e=>setEmail(e.target.value)} onKeyDown={e=>e.key === 'Enter' && submit()} className={inputClass} />
+            </div>
+            {needsPassword && (
+              <div>
+                <label className="text-xs text-gray-400">Password</label>
+                <input type="password" autoComplete={mode === 'register' ? 'new-password' : 'current-password'} value={password} onChange={e=>setPassword(e.target.value)} onKeyDown={e=>e.key === 'Enter' && submit()} className={inputClass} />
+              </div>
+            )}
+            <button onClick={submit} disabled={busy || !email.trim() || (needsPassword && !password)} className="w-full px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">
+              {busy ? 'Working…' : { register: 'Save account', signin: 'Sign in', link: 'Send sign-in link', finish: 'Finish sign-in' }[mode]}
+            </button>
+          </div>
+        )}
+        {error && <p className="text-xs text-red-400 mt-3">{error}</p>}
+        {notice && <p className="text-xs text-green-400 mt-3">{notice}</p>}
+        {account && (
+          <div className="flex justify-end pt-4 mt-4 border-t border-white/10">
+            <button onClick={onSignOut} className="inline-flex items-center gap-1 px-3 py-2 text-sm rounded-lg bg-white/5 hover:bg-white/10 text-gray-300"><LogOut size={14}/> Sign out</button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
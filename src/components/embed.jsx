@@ -0,0 +1,44 @@
+import React from 'react'
+import { ExternalLink } from 'lucide-react'
+import { resolveEmbed } from '../lib/embeds'
+
+export function LinkCard({ url, title, host, image }) {
+  return (
+    <a href={url} target="_blank" rel="noopener noreferrer nofollow" className="block rounded-lg overflow-hidden bg-white/5 border border-white/10 hover:border-indigo-500/50 transition-colors">
+      {image && <img src={image} alt="" loading="lazy" className="w-full aspect-[2/1] object-cover" />}
+      <div className="flex items-center gap-2 px-3 py-2">
+        <div className="min-w-0 flex-1">
+          <div className="text-sm text-gray-100 truncate">{title || url}</div>
+          {host && <div className="text-[11px] text-gray-500 truncate">{host}</div>}
+        </div>
+        <ExternalLink size={14} className="shrink-0 text-gray-500" />
+      </div>
+    </a>
+  )
+}
+
+// Third-party players run in a sandbox: scripts for playback, but no top-level navigation
+export function EmbedFrame({ embed }) {
+  return (
+    <iframe
+      src={embed.src}
+      title={`${embed.provider} embed`}
+      loading="lazy"
+      sandbox="allow-scripts allow-same-origin allow-popups allow-popups-to-escape-sandbox allow-presentation"
+      allow="encrypted-media; picture-in-picture; fullscreen"
+      referrerPolicy="strict-origin-when-cross-origin"
+      className="w-full rounded-lg border-0 bg-black/20"
+      style={embed.aspectRatio ? { aspectRatio: embed.aspectRatio } : { height: embed.height }}
+    />
+  )
+}
+
+// Renders a URL as a provider embed when `embed` is set, otherwise as a link card.
+// Content that is not a URL at all falls through to plain text.
+export default function Embed({ content, embed: allowEmbed = true }) {
+  const resolved = resolveEmbed(content)
+  if (!resolved) return <p className="break-words text-gray-200 text-sm leading-relaxed">{content}</p>
+  if (resolved.kind === 'card') return <LinkCard url={resolved.href} title={resolved.title} host={resolved.provider} image={resolved.image} />
+  if (resolved.kind === 'iframe' && allowEmbed) return <EmbedFrame embed={resolved} />
+  return <LinkCard url={resolved.url} host={resolved.provider || resolved.host} />
+}
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { MessageCircle, EyeOff, Eye, Trash2, CornerDownRight } from 'lucide-react'
+import { cls } from '../lib/cls'
+import { notifyComment, notifyReaction } from '../lib/notifications'
+
+export const REACTIONS = [
+  { key: 'heart', emoji: '❤️' },
+  { key: 'fire', emoji: '🔥' },
+  { key: 'laugh', emoji: '😂' },
+  { key: 'wow', emoji: '😮' },
+  { key: 'clap', emoji: '👏' },
+]
+
+const MAX_DEPTH = 3
+
+// Ops that remove a post's reactions and comments; Firestore does not cascade deletes
+export async function postChildrenOps(store, postId) {
+  const paths = [`feed_posts/${postId}/reactions`, `feed_posts/${postId}/comments`]
+  const lists = await Promise.all(paths.map(path => store.list(path)))
+  return lists.flatMap((list, i) => list.map(d => ({ type: 'delete', path: paths[i], id: d.id })))
+}
+
+// Visitors lose access when a page goes private, so that case gets a plain explanation
+const failure = (e, denied) => (e.code === 'permission-denied' ? denied : e.message)
+
+function authorLabel(comment, ownerUid, viewer) {
+  if (comment.authorId === ownerUid) return 'Page owner'
+  if (viewer && comment.authorId === viewer.uid) return 'You'
+  return comment.authorName || `Visitor ${comment.authorId.slice(0, 6)}`
+}
+
+function CommentComposer({ onSubmit, placeholder, autoFocus }) {
+  const [text, setText] = useState('')
+  const [busy, setBusy] = useState(false)
+  const submit = async () => {
+    if (!text.trim() || busy) return
+    setBusy(true)
+    // A failed send keeps the text; PostEngagement shows the error
+    try { await onSubmit(text.trim()); setText('') } catch {} finally { setBusy(false) }
+  }
+  return (
+    <div className="flex gap-2">
+      <input value={text} onChange={e=>setText(e.target.value)} onKeyDown={e=>e.key === 'Enter' && submit()} maxLength={2000} autoFocus={autoFocus} placeholder={placeholder} className="flex-1 bg-white/5 border border-white/10 rounded-lg px-2.5 py-1.5 text-xs placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+      <button onClick={submit} disabled={busy || !text.trim()} className="px-2.5 py-1.5 text-xs rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Send</button>
+    </div>
+  )
+}
+
+function CommentThread({ comments, parentId, depth, ctx }) {
+  const children = comments.filter(c => (c.parentId || null) === parentId)
+  if (!children.length) return null
+  return (
+    <ul className={cls('space-y-2', depth > 0 && 'mt-2 pl-3 border-l border-white/10')}>
+      {children.map(c => (
+        <li key={c.id}>
+          <div className={cls('rounded-lg px-2.5 py-1.5 text-xs', c.hidden ? 'bg-white/[0.02] text-gray-500' : 'bg-white/5 text-gray-200')}>
+            <div className="flex items-center gap-2 text-[10px] text-gray-500 mb-0.5">
+              <span className={cls(c.authorId === ctx.ownerUid && 'text-indigo-300')}>{authorLabel(c, ctx.ownerUid, ctx.viewer)}</span>
+              {c.createdAt && <span>{c.createdAt.toLocaleString()}</span>}
+              {c.hidden && <span className="italic">hidden</span>}
+              <div className="ml-auto flex items-center gap-1">
+                {ctx.viewer && depth < MAX_DEPTH - 1 && (
+                  <button onClick={() => ctx.setReplyTo(ctx.replyTo === c.id ? null : c.id)} title="Reply" className="p-0.5 rounded hover:text-gray-200"><CornerDownRight size={11}/></button>
+                )}
+                {ctx.isOwner && (
+                  <button onClick={() => ctx.setHidden(c, !c.hidden)} title={c.hidden ? 'Show comment' : 'Hide comment'} className="p-0.5 rounded hover:text-gray-200">{c.hidden ? <Eye size={11}/> : <EyeOff size={11}/>}</button>
+                )}
+                {(ctx.isOwner || (ctx.viewer && c.authorId === ctx.viewer.uid)) && (
+                  <button onClick={() => ctx.remove(c)} title="Delete comment" className="p-0.5 rounded hover:text-red-400"><Trash2 size={11}/></button>
+                )}
+              </div>
+            </div>
+            <p className="whitespace-pre-wrap break-words">{c.content}</p>
+          </div>
+          {ctx.replyTo === c.id && (
+            <div className="mt-2 pl-3"><CommentComposer autoFocus placeholder="Write a reply…" onSubmit={text => ctx.add(text, c.id)} /></div>
+          )}
+          <CommentThread comments={comments} parentId={c.id} depth={depth + 1} ctx={ctx} />
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Reactions bar and threaded comments for one post. `store` is rooted at the page
+// owner's data, so the same component serves the owner and visitors of shared pages.
+export default function PostEngagement({ store, postId, pageId, ownerUid, viewer, isOwner, confirm }) {
+  const [reactions, setReactions] = useState([])
+  const [comments, setComments] = useState([])
+  const [open, setOpen] = useState(false)
+  const [replyTo, setReplyTo] = useState(null)
+  const [error, setError] = useState(null)
+  const reactionsPath = `feed_posts/${postId}/reactions`
+  const commentsPath = `feed_posts/${postId}/comments`
+
+  useEffect(() => {
+    setError(null)
+    const onError = (e) => setError(failure(e, 'Reactions and comments on this post are not visible to you.'))
+    const unsubs = [
+      store.subscribe(reactionsPath, {}, setReactions, onError),
+      store.subscribe(commentsPath, isOwner ? {} : { where: ['hidden', false] }, (list) => {
+        setComments([...list].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)))
+      }, onError),
+    ]
+    return () => unsubs.forEach(u => u())
+  }, [store, reactionsPath, commentsPath, isOwner])
+
+  const counts = useMemo(() => {
+    const out = {}
+    for (const r of reactions) out[r.key] = (out[r.key] || 0) + 1
+    return out
+  }, [reactions])
+
+  const writeFailed = (e) => setError(failure(e, 'You cannot react or comment on this post.'))
+
+  const toggleReaction = async (key) => {
+    if (!viewer) return
+    const id = `${viewer.uid}_${key}`
+    setError(null)
+    try {
+      if (reactions.some(r => r.id === id)) return await store.remove(reactionsPath, id)
+      await store.set(reactionsPath, id, { userId: viewer.uid, key, createdAt: store.now() })
+    } catch (e) {
+      return writeFailed(e)
+    }
+    if (viewer.uid !== ownerUid) notifyReaction(store, viewer, pageId, postId, key)
+  }
+
+  const ctx = {
+    ownerUid,
+    viewer,
+    isOwner,
+    replyTo,
+    setReplyTo,
+    add: async (content, parentId = null) => {
+      setError(null)
+      try {
+        await store.add(commentsPath, {
+          authorId: viewer.uid,
+          ...(viewer.displayName ? { authorName: viewer.displayName.slice(0, 80) } : {}),
+          content,
+          parentId,
+          hidden: false,
+          createdAt: store.now(),
+        })
+      } catch (e) {
+        writeFailed(e)
+        throw e
+      }
+      if (viewer.uid !== ownerUid) notifyComment(store, viewer, pageId, postId, content)
+      setReplyTo(null)
+    },
+    setHidden: (c, hidden) => store.update(commentsPath, c.id, { hidden }).catch(writeFailed),
+    // Replies go with their parent so nothing is left dangling
+    remove: (c) => confirm('Delete comment?', 'This comment and its replies will be removed.', () => {
+      const doomed = new Set([c.id])
+      let grew = true
+      while (grew) {
+        grew = false
+        for (const x of comments) if (x.parentId && doomed.has(x.parentId) && !doomed.has(x.id)) { doomed.add(x.id); grew = true }
+      }
+      // Visitors may only delete their own comments, so they leave other people's replies alone
+      const ids = [...doomed].filter(id => isOwner || id === c.id || comments.find(x => x.id === id)?.authorId === viewer.uid)
+      return store.batch(ids.map(id => ({ type: 'delete', path: commentsPath, id })))
+    }),
+  }
+
+  return (
+    <div className="mt-3 pt-2 border-t border-white/5">
+      <div className="flex flex-wrap items-center gap-1">
+        {REACTIONS.map(({ key, emoji }) => {
+          const mine = viewer && reactions.some(r => r.id === `${viewer.uid}_${key}`)
+          return (
+            <button key={key} onClick={() => toggleReaction(key)} disabled={!viewer} aria-pressed={!!mine} className={cls('inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border', mine ? 'bg-indigo-500/20 border-indigo-500/40' : 'bg-white/5 border-transparent hover:bg-white/10', !counts[key] && !mine && 'opacity-60')}>
+              <span>{emoji}</span>{counts[key] > 0 && <span className="text-gray-300">{counts[key]}</span>}
+            </button>
+          )
+        })}
+        <button onClick={() => setOpen(v => !v)} className="ml-auto inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs text-gray-400 hover:bg-white/10">
+          <MessageCircle size={12}/> {comments.length}
+        </button>
+      </div>
+      {error && <p role="alert" className="text-[11px] text-red-400 mt-1">{error}</p>}
+      {open && (
+        <div className="mt-2 space-y-2">
+          <CommentThread comments={comments} parentId={null} depth={0} ctx={ctx} />
+          {viewer ? <CommentComposer placeholder="Add a comment…" onSubmit={text => ctx.add(text)} /> : <p className="text-[11px] text-gray-500">Sign in to comment.</p>}
+        </div>
+      )}
+    </div>
+  )
+}
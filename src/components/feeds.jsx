@@ -0,0 +1,80 @@
+import React, { useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Rss, Download, ExternalLink } from 'lucide-react'
+import { cls } from '../lib/cls'
+import { FEED_FORMATS, feedUrl, pageFeed, buildFeed } from '../lib/feeds'
+import { pageUrl } from '../lib/routes'
+import { downloadText } from '../lib/download'
+
+const fileName = (page, format) => `${page.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'feed'}.${FEED_FORMATS[format].ext}`
+
+const build = (format, page, posts, ownerUid) => buildFeed(format, pageFeed(page, posts, { origin: window.location.origin, ownerUid }))
+
+// Feed previews and downloads for a public page, built from the posts already loaded
+export function FeedMenu({ page, posts, ownerUid }) {
+  const [open, setOpen] = useState(false)
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(v => !v)} aria-expanded={open} title="RSS, Atom and JSON Feed files of this page" className="inline-flex items-center gap-1.5 text-xs px-3 py-2 rounded-xl bg-white/5 border border-white/10 hover:bg-white/10">
+        <Rss size={14} /> Feed
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <ul className="absolute z-40 mt-2 w-52 bg-gray-900/95 border border-white/10 rounded-xl shadow-xl backdrop-blur-sm p-1 text-sm">
+            {Object.entries(FEED_FORMATS).map(([format, f]) => (
+              <li key={format} className="flex items-center gap-1">
+                <Link to={feedUrl(ownerUid, page.id, format)} onClick={() => setOpen(false)} title={`Preview ${f.label}`} className="flex-1 px-3 py-2 rounded-lg hover:bg-white/5">{f.label}</Link>
+                <button onClick={() => downloadText(fileName(page, format), build(format, page, posts, ownerUid), f.type)} title={`Download ${f.label}`} className="p-2 rounded-lg text-gray-400 hover:bg-white/5 hover:text-gray-100"><Download size={14} /></button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+// The whole document for /u/:uid/p/:pageId/feed/:format. A static app cannot
+// answer a feed reader with the raw file, so this route is only a preview: the
+// document is downloaded and hosted somewhere a reader can fetch it.
+export default function FeedView({ page, posts, loading, error, ownerUid, format }) {
+  const known = !!FEED_FORMATS[format]
+  const ready = page && page.privacyLevel === 'public' && known && !loading
+  const text = useMemo(() => (ready ? build(format, page, posts, ownerUid) : ''), [ready, format, page, posts, ownerUid])
+
+  const openRaw = () => window.open(URL.createObjectURL(new Blob([text], { type: `${FEED_FORMATS[format].type};charset=utf-8` })), '_blank', 'noopener')
+
+  let message = null
+  if (error) message = error
+  else if (!page || loading) message = 'Loading feed…'
+  else if (page.privacyLevel !== 'public') message = 'Feeds are only published for public pages.'
+  else if (!known) message = `Unknown feed format "${format}".`
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Rss size={16} className="text-orange-400" />
+        <h1 className="text-lg font-medium">{page?.name || 'Feed'}</h1>
+        {page && <Link to={pageUrl(ownerUid, page.id)} className="text-xs text-indigo-300 hover:underline">Back to page</Link>}
+        <div className="ml-auto flex items-center gap-1">
+          {page && Object.entries(FEED_FORMATS).map(([f, def]) => (
+            <Link key={f} to={feedUrl(ownerUid, page.id, f)} className={cls('text-xs px-2.5 py-1.5 rounded-lg', f === format ? 'bg-indigo-500/20 text-indigo-200' : 'bg-white/5 hover:bg-white/10')}>{def.label}</Link>
+          ))}
+        </div>
+      </div>
+      {message ? (
+        <p className="text-sm text-gray-400">{message}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="text-gray-400 mr-auto">This page is a preview, not a feed address. Download the file and host it where a feed reader can fetch it.</span>
+            <button onClick={openRaw} className="inline-flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-white/10 hover:bg-white/15"><ExternalLink size={12} /> Open raw</button>
+            <button onClick={() => downloadText(fileName(page, format), text, FEED_FORMATS[format].type)} className="inline-flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-500"><Download size={12} /> Download</button>
+          </div>
+          <pre className="text-xs text-gray-300 bg-white/5 border border-white/10 rounded-xl p-3 overflow-auto whitespace-pre-wrap break-words">{text}</pre>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { X, History, RotateCcw, Trash2, Hash, Puzzle } from 'lucide-react'
+import { cls } from '../lib/cls'
+import { diffWords } from '../lib/diff'
+import { revisionsPath, snapshot, TRASH_DAYS, trashExpiresAt } from '../lib/history'
+import { formatWhen } from '../lib/schedule'
+import { widgetTypes } from './widgets'
+
+const ACTIONS = { edit: 'Before edit', restore: 'Before restore', publish: 'Published early', reschedule: 'Rescheduled', untrash: 'Restored from trash' }
+
+function Diff({ before, after }) {
+  const parts = useMemo(() => diffWords(before, after), [before, after])
+  if (!parts.some(p => p.op !== 'same')) return <p className="text-xs text-gray-500">Same text as the current version.</p>
+  return (
+    <div className="text-sm text-gray-200 whitespace-pre-wrap break-words leading-relaxed">
+      {parts.map((p, i) => (
+        <span key={i} className={cls(p.op === 'add' && 'bg-green-500/20 text-green-200', p.op === 'del' && 'bg-red-500/20 text-red-300 line-through')}>{p.text}</span>
+      ))}
+    </div>
+  )
+}
+
+// Past versions of a post or widget, each compared with the current one
+export function HistoryModal({ store, path, doc, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    return store.subscribe(revisionsPath(path, doc.id), { orderBy: ['at', 'desc'], limit: 50 }, setRevisions, () => setRevisions([]))
+  }, [store, path, doc.id])
+
+  const current = snapshot(path, doc)
+  const selected = revisions?.find(r => r.id === selectedId) || revisions?.[0]
+  const old = selected?.data || {}
+  const notes = [
+    selected?.dueAt && `Was scheduled for ${formatWhen(selected.dueAt)}.`,
+    old.type !== current.type && old.type && `Type was ${widgetTypes[old.type]?.label || old.type}.`,
+    (old.attachments?.length || 0) !== (current.attachments?.length || 0) && `Had ${old.attachments?.length || 0} image(s), now ${current.attachments?.length || 0}.`,
+  ].filter(Boolean)
+
+  const restore = async () => {
+    setBusy(true)
+    setError(null)
+    try { await onRestore(old); onClose() } catch (e) { setError(`Not restored: ${e.message}`) } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-2xl max-h-[90vh] flex flex-col bg-gray-900 border border-white/10 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-medium inline-flex items-center gap-2"><History size={16} /> {path === 'widgets' ? 'Widget' : 'Post'} history</h3>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+        </div>
+        {revisions === null ? (
+          <p className="text-xs text-gray-500">Loading…</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-xs text-gray-500">No earlier versions. Edits are recorded from now on.</p>
+        ) : (
+          <div className="flex flex-col sm:flex-row gap-3 min-h-0">
+            <ul className="sm:w-48 shrink-0 space-y-1 overflow-auto max-h-40 sm:max-h-none">
+              {revisions.map(r => (
+                <li key={r.id}>
+                  <button onClick={() => setSelectedId(r.id)} className={cls('w-full text-left px-2.5 py-1.5 rounded-lg text-xs hover:bg-white/5', r.id === selected.id && 'bg-white/10')}>
+                    <div className="text-gray-200">{r.at ? formatWhen(r.at) : 'Just now'}</div>
+                    <div className="text-gray-500">{ACTIONS[r.action] || 'Earlier version'}</div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="flex-1 min-w-0 flex flex-col gap-2">
+              <div className="text-[10px] uppercase tracking-wide text-gray-500">Changes since this version · <span className="text-red-300">removed</span> · <span className="text-green-300">added</span></div>
+              <div className="flex-1 overflow-auto bg-white/5 border border-white/10 rounded-lg p-3">
+                <Diff before={old.content || ''} after={current.content || ''} />
+              </div>
+              {notes.map(n => <p key={n} className="text-xs text-amber-300">{n}</p>)}
+              {error && <p role="alert" className="text-xs text-red-400">{error}</p>}
+              <div className="flex justify-end gap-2">
+                <button onClick={onClose} className="px-3 py-2 rounded-lg bg-white/10">Close</button>
+                <button onClick={restore} disabled={busy} className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50"><RotateCcw size={14} /> Restore this version</button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// A page's deleted posts and widgets until they are restored or their time runs out
+export function TrashModal({ pageName, items, days, onDaysChange, onRestore, onPurge, onClose }) {
+  const sorted = useMemo(() => [...items].sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0)), [items])
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-md max-h-[90vh] flex flex-col bg-gray-900 border border-white/10 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-medium">Trash · {pageName}</h3>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+        </div>
+        <label className="flex items-center gap-2 text-xs text-gray-400 mb-3">
+          Keep deleted items for
+          <select value={days} onChange={e => onDaysChange(Number(e.target.value))} className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-gray-200">
+            {TRASH_DAYS.map(d => <option key={d} value={d}>{d} days</option>)}
+          </select>
+        </label>
+        {sorted.length === 0 ? (
+          <p className="text-xs text-gray-500 py-6 text-center">Nothing in the trash.</p>
+        ) : (
+          <ul className="space-y-1.5 overflow-auto">
+            {sorted.map(item => {
+              const Icon = item.trashedFrom === 'widgets' ? (widgetTypes[item.type]?.icon || Puzzle) : Hash
+              const expires = trashExpiresAt(item, days)
+              return (
+                <li key={item.id} className="bg-white/5 rounded-lg px-2.5 py-2">
+                  <div className="flex items-center gap-2 text-xs text-gray-500">
+                    <Icon size={12} className="shrink-0" />
+                    {item.trashedFrom === 'widgets' ? `${widgetTypes[item.type]?.label || item.type} widget` : 'Post'}
+                    {expires && <span title={`Deleted ${formatWhen(item.deletedAt)}`}>· gone after {formatWhen(expires)}</span>}
+                    <div className="ml-auto flex items-center gap-1 text-gray-400">
+                      <button onClick={() => onRestore(item)} title="Restore" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><RotateCcw size={12} /></button>
+                      <button onClick={() => onPurge([item])} title="Delete forever" className="p-1 rounded hover:bg-white/10 hover:text-red-400"><Trash2 size={12} /></button>
+                    </div>
+                  </div>
+                  <div className="text-xs text-gray-300 truncate mt-0.5">{item.content?.trim().slice(0, 80) || `${item.attachments?.length || 0} image(s)`}</div>
+                </li>
+              )
+            })}
+          </ul>
+        )}
+        <div className="flex justify-end gap-2 mt-3">
+          <button onClick={() => onPurge(sorted)} disabled={!sorted.length} className="px-3 py-2 rounded-lg bg-red-600/80 hover:bg-red-600 disabled:opacity-50">Empty trash</button>
+          <button onClick={onClose} className="px-3 py-2 rounded-lg bg-white/10">Close</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,100 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Bell, CheckCheck, X, MessageCircle, Heart, UserPlus, Send, AlertTriangle } from 'lucide-react'
+import { cls } from '../lib/cls'
+import { REACTIONS } from './engagement'
+import { BROWSER_ALERTS_KEY } from '../lib/notifications'
+
+const icons = { comment: MessageCircle, reaction: Heart, follower: UserPlus, published: Send, sync_failed: AlertTriangle }
+
+const actorLabel = (n) => n.actorName || `Visitor ${(n.actorId || '').slice(0, 6)}`
+
+// { title, body } for the menu and for browser alerts
+export function describeNotification(n, pageName) {
+  const page = pageName || 'your page'
+  switch (n.kind) {
+    case 'comment': return { title: `${actorLabel(n)} commented on ${page}`, body: n.text }
+    case 'reaction': return { title: `${actorLabel(n)} reacted ${REACTIONS.find(r => r.key === n.text)?.emoji || ''} on ${page}`, body: '' }
+    case 'follower': return { title: `${actorLabel(n)} followed ${page}`, body: '' }
+    case 'published': return { title: `Scheduled post went live on ${page}`, body: n.text }
+    case 'sync_failed': return { title: `Could not sync: ${n.text}`, body: n.error }
+    default: return { title: 'Notification', body: n.text || '' }
+  }
+}
+
+const readAlerts = () => {
+  try { return window.localStorage.getItem(BROWSER_ALERTS_KEY) === 'true' && Notification.permission === 'granted' } catch { return false }
+}
+
+// Bell with the unread count. Browser alerts only fire for items that arrive
+// while this tab is open, never for the backlog loaded on start.
+export default function NotificationsMenu({ items, loaded, unread, pageNames, onOpen, onMarkRead, onMarkAllRead, onRemove }) {
+  const [open, setOpen] = useState(false)
+  const [alerts, setAlerts] = useState(readAlerts)
+  const seen = useRef(null)
+  const supported = typeof window !== 'undefined' && 'Notification' in window
+
+  useEffect(() => {
+    if (!loaded || seen.current === null) {
+      seen.current = loaded ? new Set(items.map(n => n.id)) : null
+      return
+    }
+    const fresh = items.filter(n => !seen.current.has(n.id) && !n.read)
+    items.forEach(n => seen.current.add(n.id))
+    if (!alerts || !supported || Notification.permission !== 'granted') return
+    for (const n of fresh) {
+      const { title, body } = describeNotification(n, pageNames.get(n.pageId))
+      new Notification(title, { body, tag: n.id })
+    }
+  }, [items, loaded, alerts, supported, pageNames])
+
+  const toggleAlerts = async () => {
+    const next = !alerts && (Notification.permission === 'granted' || (await Notification.requestPermission()) === 'granted')
+    window.localStorage.setItem(BROWSER_ALERTS_KEY, String(next))
+    setAlerts(next)
+  }
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(v => !v)} aria-label={`Notifications${unread ? `, ${unread} unread` : ''}`} aria-expanded={open} className="relative p-2 rounded-lg bg-white/10 hover:bg-white/15">
+        <Bell size={14} />
+        {unread > 0 && <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-indigo-500 text-[10px] leading-[1.1rem] text-center text-white">{unread > 99 ? '99+' : unread}</span>}
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-40 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-gray-900/95 border border-white/10 rounded-xl shadow-xl backdrop-blur-sm">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-white/10">
+              <span className="text-sm font-medium">Notifications</span>
+              <button onClick={onMarkAllRead} disabled={!unread} className="inline-flex items-center gap-1 text-xs text-gray-400 hover:text-gray-100 disabled:opacity-40"><CheckCheck size={12} /> Mark all read</button>
+            </div>
+            <div className="max-h-96 overflow-auto p-1">
+              {items.length === 0 ? (
+                <div className="p-3 text-xs text-gray-400">Nothing yet. Comments, reactions, new followers and posts going live show up here.</div>
+              ) : items.map(n => {
+                const Icon = icons[n.kind] || Bell
+                const { title, body } = describeNotification(n, pageNames.get(n.pageId))
+                return (
+                  <div key={n.id} className={cls('group flex items-start gap-2 px-2 py-2 rounded-lg hover:bg-white/5', !n.read && 'bg-indigo-500/10')}>
+                    <Icon size={14} className={cls('mt-0.5 shrink-0', n.kind === 'sync_failed' ? 'text-amber-400' : 'text-indigo-300')} />
+                    <button onClick={() => { onMarkRead(n); if (n.pageId) { onOpen(n); setOpen(false) } }} className="min-w-0 flex-1 text-left">
+                      <div className="text-sm text-gray-200">{title}</div>
+                      {body && <div className="text-xs text-gray-400 truncate">{body}</div>}
+                      {n.createdAt && <div className="text-[10px] text-gray-500 mt-0.5">{n.createdAt.toLocaleString()}</div>}
+                    </button>
+                    <button onClick={() => onRemove(n)} title="Dismiss" className="p-1 rounded text-gray-500 hover:text-gray-200 opacity-0 group-hover:opacity-100 focus:opacity-100"><X size={12} /></button>
+                  </div>
+                )
+              })}
+            </div>
+            {supported && (
+              <label className="flex items-center gap-2 px-3 py-2 border-t border-white/10 text-xs text-gray-400">
+                <input type="checkbox" checked={alerts} onChange={toggleAlerts} disabled={Notification.permission === 'denied'} />
+                {Notification.permission === 'denied' ? 'Browser alerts are blocked for this site' : 'Browser alerts while Selphi is open'}
+              </label>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
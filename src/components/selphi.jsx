@@ -1,40 +1,61 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { useWindowVirtualizer } from '@tanstack/react-virtual'
+import { Link, useMatch, useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import Spline from '@splinetool/react-spline'
-import { Plus, ChevronDown, Shield, Globe, Lock, Menu, X, Image as ImageIcon, Link as LinkIcon, Text as TextIcon, Share2 } from 'lucide-react'
+import { Plus, ChevronDown, Shield, Globe, Lock, Menu, X, Pencil, Trash2, Settings2, UserPlus, Ticket, Copy, Eye, GripVertical, ImagePlus, Download, Upload, Search, Hash, FileText, UserRound, Cloud, CloudOff, HardDrive, RefreshCw, RotateCcw, AlertTriangle, Loader2, Clock, CalendarClock, FilePen, Send, Sun, Moon, LayoutTemplate, CopyPlus, Users, Bell, BellOff, UserMinus, Check, Puzzle, Layers, History } from 'lucide-react'
 
 // Firebase
-import { initializeApp, getApps } from 'firebase/app'
-import { getAuth, onAuthStateChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth'
-import { getFirestore, collection, addDoc, onSnapshot, query, where, orderBy, serverTimestamp } from 'firebase/firestore'
+import { onAuthStateChanged, onIdTokenChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth'
+
+import { SETTINGS_KEYS, ENV_EMULATORS, EMULATOR_DEMO_CONFIG, EMULATOR_HOST, EMULATOR_PORTS, parseFirebaseConfig, readSetting, initFirebase, teardownFirebase } from '../lib/firebase'
+import { PROFILE_KEYS, DEFAULT_PROFILE_ID, profileAppName, syncActive, createProfile, exportProfiles, parseProfiles } from '../lib/profiles'
+import { createFirebaseStore, createLocalStore, migrateStore, clearStore, QUEUED_NOW } from '../storage'
+import { planMove, nextOrder } from '../lib/widgetLayout'
+import { POST_VERSION, normalizePost, renderMarkdown, linkPreviews, extractTags } from '../lib/posts'
+import { buildSearchIndex, searchIndex } from '../lib/search'
+import { describeAccount, hasPendingEmailLink, savedLinkEmail, completeEmailLink, isAccountConflict, signOutAccount, authErrorMessage } from '../lib/account'
+import { prepareImage } from '../lib/images'
+import usePagedFeed from '../lib/usePagedFeed'
+import { pageUrl } from '../lib/routes'
+import useFollowingTimeline, { followId } from '../lib/useFollowingTimeline'
+import useNotifications from '../lib/useNotifications'
+import useResolvedPosts from '../lib/useResolvedPosts'
+import { DEFAULT_TRASH_DAYS, revisionOp, revisionDeleteOps, sameSnapshot, toTrash, trashOps, restoreOps, trashExpiresAt } from '../lib/history'
+import { MAX_CROSS_POST_PAGES, refId, refData, refUpdateOps, refDeleteOps, privacyWidening } from '../lib/crossPost'
+import { notifyFollower } from '../lib/notifications'
+import { ACCESS_DOC, accessPath, accessOp } from '../lib/sharing'
+import useWriteQueue from '../lib/useWriteQueue'
+import { isLive, useNow, useLiveBound, toLocalInput, fromLocalInput, formatWhen } from '../lib/schedule'
+import { BUILT_IN_TEMPLATES, captureTemplate, templateOps, duplicateOps, unusedFiles } from '../lib/templates'
+import { DEFAULT_SCENE, ACCENTS, BACKGROUNDS, FONTS, HERO_TYPES, normalizeTheme, themeStyle, isHttpsUrl, supportsWebGL } from '../lib/theme'
+import { buildArchive, validateArchive, planImport } from '../lib/archive'
+import { downloadBlob, downloadText } from '../lib/download'
+import { buildStaticSite } from '../lib/staticExport'
+import { zipFiles } from '../lib/zip'
+import { cls } from '../lib/cls'
+import Embed from './embed'
+import PostEngagement, { postChildrenOps } from './engagement'
+import NotificationsMenu from './notifications'
+import { HistoryModal, TrashModal } from './history'
+import FeedView, { FeedMenu } from './feeds'
+import { widgetTypes, widgetError, widgetChildrenOps, widgetStaticHtml, WidgetBody, WidgetEditor } from './widgets'
+import AccountModal from './account'
 
 // Helpers
-const cls = (...c) => c.filter(Boolean).join(' ')
 
+// Only values set through the hook are stored, so an untouched setting keeps
+// following `initialValue` (often a VITE_* default) instead of freezing it
 function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key)
-      return item ? JSON.parse(item) : initialValue
-    } catch {
-      return initialValue
-    }
-  })
+  const [value, setStoredValue] = useState(() => readSetting(key, initialValue))
+  const changed = useRef(false)
   useEffect(() => {
+    if (!changed.current) return
     try { window.localStorage.setItem(key, JSON.stringify(value)) } catch {}
   }, [key, value])
+  const setValue = useCallback((next) => { changed.current = true; setStoredValue(next) }, [])
   return [value, setValue]
 }
 
-function parseFirebaseConfig(input) {
-  if (!input) return null
-  try {
-    const obj = typeof input === 'string' ? JSON.parse(input) : input
-    const required = ['apiKey', 'authDomain', 'projectId']
-    for (const k of required) if (!obj[k]) return null
-    return obj
-  } catch { return null }
-}
-
 function PrivacyBadge({ level }) {
   const map = {
     public: { icon: Globe, text: 'Public', color: 'text-green-400' },
@@ -49,25 +70,555 @@ function PrivacyBadge({ level }) {
   )
 }
 
+// Offered for a few seconds after a delete; the item waits in the trash either way
+function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    const t = setTimeout(onDismiss, 8000)
+    return () => clearTimeout(t)
+  }, [])
+  return (
+    <div role="status" className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[70] flex items-center gap-3 bg-gray-900/95 border border-white/10 rounded-xl px-4 py-2.5 text-sm shadow-xl backdrop-blur-sm">
+      <span>{message}</span>
+      <button onClick={() => { onUndo(); onDismiss() }} className="inline-flex items-center gap-1 font-medium text-indigo-300 hover:text-indigo-200"><RotateCcw size={14} /> Undo</button>
+      <button onClick={onDismiss} title="Dismiss" className="p-1 rounded text-gray-500 hover:text-gray-200"><X size={12} /></button>
+    </div>
+  )
+}
+
+// For writes that fail after their modal has closed
+function ErrorToast({ message, onDismiss }) {
+  useEffect(() => {
+    const t = setTimeout(onDismiss, 12000)
+    return () => clearTimeout(t)
+  }, [])
+  return (
+    <div role="alert" className="fixed bottom-16 left-1/2 -translate-x-1/2 z-[70] flex items-center gap-3 bg-gray-900/95 border border-red-500/30 rounded-xl px-4 py-2.5 text-sm text-red-300 shadow-xl backdrop-blur-sm">
+      <span>{message}</span>
+      <button onClick={onDismiss} title="Dismiss" className="p-1 rounded text-gray-500 hover:text-gray-200"><X size={12} /></button>
+    </div>
+  )
+}
+
+const failureText = (e) => (e.code === 'permission-denied' ? 'You do not have permission to do that.' : e.message || 'Something went wrong.')
+
+function ConfirmModal({ title, message, confirmLabel = 'Delete', onConfirm, onCancel }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  // Stays open on failure so the action can be retried or cancelled
+  const run = async () => {
+    setBusy(true)
+    setError(null)
+    try { await onConfirm() } catch (e) { setError(failureText(e)) } finally { setBusy(false) }
+  }
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/60 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-gray-900 border border-white/10 rounded-2xl p-4">
+        <h3 className="text-lg font-medium mb-2">{title}</h3>
+        <p className="text-sm text-gray-400">{message}</p>
+        {error && <p role="alert" className="text-xs text-red-400 mt-3">{error}</p>}
+        <div className="flex justify-end gap-2 pt-4">
+          <button onClick={onCancel} disabled={busy} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+          <button onClick={run} disabled={busy} className="px-3 py-2 rounded-lg bg-red-600 hover:bg-red-500 disabled:opacity-50">{busy ? 'Working…' : confirmLabel}</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function makeInviteCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(6))
+  return Array.from(bytes, b => b.toString(36).padStart(2, '0').slice(-2)).join('')
+}
+
+// Stand-in account for the offline store, used until a Firebase config is saved
+const LOCAL_USER = { uid: 'local', isLocal: true }
+const LOCAL_BASE_PATH = 'users/local/selphi_data'
+
+// Falls back from the Spline scene to the banner image, then to an accent gradient, when WebGL is missing
+function Hero({ hero }) {
+  if (hero.type === 'none') return null
+  const scene = hero.type === 'spline' && supportsWebGL()
+  const image = !scene && hero.imageUrl
+  return (
+    <div className="absolute inset-0">
+      {scene ? (
+        <Spline key={hero.sceneUrl} scene={hero.sceneUrl || DEFAULT_SCENE} style={{ width: '100%', height: '100%' }} />
+      ) : image ? (
+        <img src={image} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <div className="w-full h-full bg-gradient-to-br from-indigo-700/50 via-indigo-900/30 to-gray-950" />
+      )}
+    </div>
+  )
+}
+
+function ThemeEditor({ theme, onChange }) {
+  const set = (patch) => onChange({ ...theme, ...patch })
+  const setHero = (patch) => set({ hero: { ...theme.hero, ...patch } })
+  const urlError = (value) => value && !isHttpsUrl(value) && <p className="text-[11px] text-red-400 mt-1">Use an https:// URL.</p>
+  const field = 'w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm'
+  return (
+    <div className="space-y-3 border border-white/10 rounded-xl p-3">
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-400">Appearance</span>
+        <div className="flex gap-1 bg-white/5 rounded-lg p-0.5">
+          {[['dark', Moon], ['light', Sun]].map(([mode, Icon]) => (
+            <button key={mode} onClick={() => set({ mode })} aria-pressed={theme.mode === mode} title={`${mode} mode`} className={cls('p-1.5 rounded-md', theme.mode === mode ? 'bg-white/10 text-gray-100' : 'text-gray-500 hover:text-gray-300')}><Icon size={13} /></button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="text-xs text-gray-400">Accent</label>
+        <div className="flex flex-wrap items-center gap-1.5 mt-1">
+          {ACCENTS.map(c => (
+            <button key={c} onClick={() => set({ accent: c })} title={c} aria-pressed={theme.accent === c} className={cls('h-6 w-6 rounded-full border-2', theme.accent === c ? 'border-white' : 'border-transparent')} style={{ background: c }} />
+          ))}
+          <input type="color" value={theme.accent} onChange={e => set({ accent: e.target.value })} title="Custom color" className="h-6 w-8 bg-transparent cursor-pointer" />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="text-xs text-gray-400">Background</label>
+          <select value={theme.background} onChange={e => set({ background: e.target.value })} className={field}>
+            {Object.entries(BACKGROUNDS).map(([k, b]) => <option key={k} value={k}>{b.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-gray-400">Font</label>
+          <select value={theme.font} onChange={e => set({ font: e.target.value })} className={field}>
+            {Object.entries(FONTS).map(([k, name]) => <option key={k} value={k}>{name}</option>)}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label className="text-xs text-gray-400">Header</label>
+        <select value={theme.hero.type} onChange={e => setHero({ type: e.target.value })} className={field}>
+          {Object.entries(HERO_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+      {theme.hero.type === 'spline' && (
+        <div>
+          <label className="text-xs text-gray-400">Spline scene URL</label>
+          <input value={theme.hero.sceneUrl} onChange={e => setHero({ sceneUrl: e.target.value.trim() })} placeholder="Default Selphi scene" className={field} />
+          {urlError(theme.hero.sceneUrl)}
+        </div>
+      )}
+      {theme.hero.type !== 'none' && (
+        <div>
+          <label className="text-xs text-gray-400">{theme.hero.type === 'spline' ? 'Fallback image URL (no WebGL)' : 'Banner image URL'}</label>
+          <input value={theme.hero.imageUrl} onChange={e => setHero({ imageUrl: e.target.value.trim() })} placeholder="https://…" className={field} />
+          {urlError(theme.hero.imageUrl)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const themeValid = (theme) => [theme.hero.sceneUrl, theme.hero.imageUrl].every(u => !u || isHttpsUrl(u))
+
+// Blank, the built-ins, then the owner's saved templates, which can be deleted here
+function TemplatePicker({ templates, selected, onPick, onDelete }) {
+  const option = (t, key, label, description) => (
+    <button key={key} onClick={() => onPick(t)} aria-pressed={selected === (t?.id || '')} className={cls('w-full text-left px-3 py-2 rounded-lg border', selected === (t?.id || '') ? 'border-indigo-400 bg-indigo-500/10' : 'border-white/10 bg-white/5 hover:bg-white/10')}>
+      <div className="text-sm">{label}</div>
+      {description && <div className="text-[11px] text-gray-400 truncate">{description}</div>}
+    </button>
+  )
+  return (
+    <div>
+      <label className="text-xs text-gray-400">Start from</label>
+      <div className="grid grid-cols-2 gap-2 mt-1 max-h-56 overflow-y-auto">
+        {option(null, 'blank', 'Blank page', 'Add widgets yourself')}
+        {BUILT_IN_TEMPLATES.map(t => option(t, t.id, t.name, t.description))}
+        {templates.map(t => (
+          <div key={t.id} className="relative group">
+            {option(t, t.id, t.name, `${t.widgets?.length || 0} widgets · ${t.description || 'Saved template'}`)}
+            <button onClick={() => onDelete(t)} title="Delete template" className="absolute top-1 right-1 p-1 rounded text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 focus:opacity-100"><X size={12}/></button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Arrow keys on the grip move the widget: up/down within its panel, left/right across panels
+function WidgetCard({ w, readOnly, pending, onEdit, onHistory, onDelete, onMoveKey, ctx }) {
+  const def = widgetTypes[w.type]
+  const Icon = def?.icon || Puzzle
+  return (
+    <div className={cls('bg-white/5 border border-white/10 rounded-xl p-3 text-sm text-gray-100', pending && 'opacity-70')}>
+      <div className="flex items-center gap-2 mb-2">
+        {!readOnly && (
+          <button data-widget-grip={w.id} onKeyDown={onMoveKey} aria-label={`Move ${w.type} widget. Use arrow keys to reorder or switch panels.`} title="Drag, or focus and use arrow keys" className="-ml-1 p-0.5 rounded cursor-grab text-gray-500 hover:text-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"><GripVertical size={14} /></button>
+        )}
+        <Icon size={14} className="opacity-80" />
+        <span className="uppercase tracking-wide text-[10px] opacity-80">{def?.label || w.type}</span>
+        {pending && <span title="Waiting to sync" className="text-gray-500"><Clock size={11} /></span>}
+        {!readOnly && <div className="ml-auto flex items-center gap-1">
+          <button onClick={onEdit} title="Edit widget" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-gray-100"><Pencil size={12} /></button>
+          <button onClick={onHistory} title="Widget history" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-gray-100"><History size={12} /></button>
+          <button onClick={onDelete} title="Delete widget" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><Trash2 size={12} /></button>
+        </div>}
+      </div>
+      <WidgetBody widget={w} ctx={ctx} />
+    </div>
+  )
+}
+
+function FeedCard({ p, readOnly, pending, source, alsoOn, onEdit, onHistory, onDelete, onTag, engagement }) {
+  const post = normalizePost(p)
+  const previews = useMemo(() => linkPreviews(post.content), [post.content])
+  return (
+    <div className={cls('bg-white/5 border border-white/10 rounded-xl p-4', pending && 'opacity-70')}>
+      <div className="flex items-center gap-2 text-xs text-gray-400 mb-1">
+        {source && <Link to={source.href} className="font-medium text-indigo-300 hover:underline truncate max-w-[12rem]">{source.name}</Link>}
+        <span>{(p.timestamp || new Date()).toLocaleString()}</span>
+        {p.editedAt && <span title={p.editedAt.toLocaleString()} className="italic text-gray-500">· edited</span>}
+        {pending && <span className="inline-flex items-center gap-1 text-gray-500"><Clock size={11} /> Sending…</span>}
+        {alsoOn?.length > 0 && <span title="This post appears on each of these pages" className="inline-flex items-center gap-1 text-gray-500 truncate"><Layers size={11} /> also on {alsoOn.join(', ')}</span>}
+        {!readOnly && <div className="ml-auto flex items-center gap-1">
+          <button onClick={onEdit} title="Edit post" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><Pencil size={12} /></button>
+          <button onClick={onHistory} title="Post history" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><History size={12} /></button>
+          <button onClick={onDelete} title="Delete post" className="p-1 rounded hover:bg-white/10 hover:text-red-400"><Trash2 size={12} /></button>
+        </div>}
+      </div>
+      {post.format === 'markdown' ? (
+        <div className="markdown text-gray-100 leading-relaxed" dangerouslySetInnerHTML={{ __html: renderMarkdown(post.content) }} />
+      ) : (
+        <div className="text-gray-100 whitespace-pre-wrap leading-relaxed">{post.content}</div>
+      )}
+      {post.attachments.length > 0 && (
+        <div className={cls('grid gap-2 mt-3', post.attachments.length > 1 && 'grid-cols-2')}>
+          {post.attachments.map((a, i) => (
+            <a key={a.url || i} href={a.url} target="_blank" rel="noopener noreferrer">
+              <img src={a.url} alt={a.name || ''} width={a.width} height={a.height} loading="lazy" className="rounded-lg w-full h-full max-h-96 object-cover bg-white/5" />
+            </a>
+          ))}
+        </div>
+      )}
+      {previews.length > 0 && (
+        <div className="space-y-2 mt-3">
+          {previews.map(e => <Embed key={e.url} content={e.url} embed={false} />)}
+        </div>
+      )}
+      {post.tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-3">
+          {post.tags.map(t => <button key={t} onClick={() => onTag(t)} className="text-xs px-2 py-0.5 rounded-full bg-white/5 hover:bg-indigo-500/20 text-indigo-300">#{t}</button>)}
+        </div>
+      )}
+      {engagement && <PostEngagement {...engagement} postId={p.id} pageId={p.pageId} />}
+    </div>
+  )
+}
+
+// Merged timeline of followed public pages, with the follow list and its controls above it
+function FollowingFeed({ storeFor, follows, viewer, onMute, onUnfollow, onTag, confirm }) {
+  const timeline = useFollowingTimeline(storeFor, follows)
+  const storeOfPost = useCallback(p => storeFor(p.follow.ownerUid), [storeFor])
+  const posts = useResolvedPosts(timeline.posts, storeOfPost)
+  const { loading, hasMore, loadMore, errors } = timeline
+  return (
+    <>
+      <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3">
+        <h3 className="text-sm font-medium mb-2">Following</h3>
+        {follows.length === 0 ? (
+          <p className="text-xs text-gray-500">Open a public page through its link and follow it to see its posts here.</p>
+        ) : (
+          <ul className="space-y-1">
+            {follows.map(f => (
+              <li key={f.id} className="flex items-center gap-2 text-sm">
+                <Link to={pageUrl(f.ownerUid, f.pageId)} className={cls('truncate hover:underline', f.muted && 'text-gray-500')}>{f.pageName}</Link>
+                {f.muted && <span className="text-[10px] uppercase tracking-wide text-gray-500">muted</span>}
+                {errors[f.id] && <span className="text-[11px] text-amber-300 truncate">{errors[f.id]}</span>}
+                <div className="ml-auto flex items-center gap-1 shrink-0">
+                  <button onClick={() => onMute(f)} title={f.muted ? 'Unmute' : 'Mute'} className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-gray-100">{f.muted ? <Bell size={12} /> : <BellOff size={12} />}</button>
+                  <button onClick={() => onUnfollow(f)} title="Unfollow" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><UserMinus size={12} /></button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {posts.length === 0 ? (
+        follows.length > 0 && <div className="text-xs text-gray-500 text-center py-8 bg-gray-900/50 border border-white/10 rounded-xl">{loading ? 'Loading posts…' : 'No posts from the pages you follow yet.'}</div>
+      ) : (
+        <VirtualFeed
+          posts={posts}
+          loading={loading}
+          hasMore={hasMore}
+          onLoadMore={loadMore}
+          renderPost={p => (
+            <FeedCard
+              p={p}
+              readOnly
+              source={{ name: p.pageName, href: pageUrl(p.follow.ownerUid, p.follow.pageId) }}
+              onTag={t => onTag(p.follow, t)}
+              engagement={{ store: storeFor(p.follow.ownerUid), ownerUid: p.follow.ownerUid, viewer, isOwner: false, confirm }}
+            />
+          )}
+        />
+      )}
+    </>
+  )
+}
+
+// Window-scrolled list that only mounts the posts near the viewport and asks
+// for the next page when the last few are about to come into view
+function VirtualFeed({ posts, loading, hasMore, onLoadMore, renderPost }) {
+  const listRef = useRef(null)
+  const [scrollMargin, setScrollMargin] = useState(0)
+  useLayoutEffect(() => {
+    const top = Math.round(listRef.current.getBoundingClientRect().top + window.scrollY)
+    if (top !== scrollMargin) setScrollMargin(top)
+  })
+  const virtualizer = useWindowVirtualizer({
+    count: posts.length,
+    estimateSize: () => 180,
+    overscan: 4,
+    scrollMargin,
+    getItemKey: (i) => posts[i].id,
+  })
+  const items = virtualizer.getVirtualItems()
+  const lastIndex = items.length ? items[items.length - 1].index : -1
+  useEffect(() => {
+    if (hasMore && !loading && lastIndex >= posts.length - 3) onLoadMore()
+  }, [lastIndex, posts.length, hasMore, loading, onLoadMore])
+
+  return (
+    <div ref={listRef}>
+      <div className="relative" style={{ height: virtualizer.getTotalSize() }}>
+        {items.map(item => (
+          <div key={item.key} data-index={item.index} ref={virtualizer.measureElement} className="absolute left-0 top-0 w-full pb-3" style={{ transform: `translateY(${item.start - scrollMargin}px)` }}>
+            {renderPost(posts[item.index])}
+          </div>
+        ))}
+      </div>
+      {(loading || hasMore) && <div className="text-xs text-gray-500 text-center py-4">Loading more posts…</div>}
+    </div>
+  )
+}
+
+// Edits stay local until the field loses focus or Enter is pressed, so typing or
+// spinning through a time writes (and records a revision) once, not per step
+function ScheduleInput({ at, onCommit }) {
+  const saved = toLocalInput(at)
+  const [value, setValue] = useState(saved)
+  useEffect(() => setValue(saved), [saved])
+  const commit = () => { if (value && value !== saved) onCommit(value) }
+  return (
+    <input
+      type="datetime-local"
+      value={value}
+      min={toLocalInput(new Date())}
+      onChange={e => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => { if (e.key === 'Enter') commit(); else if (e.key === 'Escape') setValue(saved) }}
+      title={formatWhen(at)}
+      className="bg-transparent text-indigo-200 focus:outline-none [color-scheme:dark]"
+    />
+  )
+}
+
+// The owner's drafts and not-yet-live scheduled posts for the current page
+function PostQueue({ drafts, scheduled, activeDraftId, onEditDraft, onDeleteDraft, onEditPost, onPublishNow, onReschedule, onUnschedule, onDeletePost }) {
+  const [open, setOpen] = useState(true)
+  if (!drafts.length && !scheduled.length) return null
+  const snippet = (d) => d.content?.trim().slice(0, 80) || `${d.attachments?.length || 0} image(s)`
+  return (
+    <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3 text-sm">
+      <button onClick={() => setOpen(v => !v)} className="w-full flex items-center gap-2 text-xs text-gray-400">
+        <CalendarClock size={14} /> {scheduled.length} scheduled · {drafts.length} {drafts.length === 1 ? 'draft' : 'drafts'}
+        <ChevronDown size={14} className={cls('ml-auto transition-transform', open && 'rotate-180')} />
+      </button>
+      {open && (
+        <ul className="mt-2 space-y-1.5">
+          {scheduled.map(p => (
+            <li key={p.id} className="bg-white/5 rounded-lg px-2.5 py-2">
+              <div className="flex items-center gap-2 text-xs">
+                <CalendarClock size={12} className="text-indigo-300 shrink-0" />
+                <ScheduleInput at={p.timestamp} onCommit={value => onReschedule(p, value)} />
+                <div className="ml-auto flex items-center gap-1 text-gray-400">
+                  <button onClick={() => onPublishNow(p)} title="Publish now" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><Send size={12} /></button>
+                  <button onClick={() => onEditPost(p)} title="Edit post" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><Pencil size={12} /></button>
+                  <button onClick={() => onUnschedule(p)} title="Move to drafts" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><FilePen size={12} /></button>
+                  <button onClick={() => onDeletePost(p)} title="Delete post" className="p-1 rounded hover:bg-white/10 hover:text-red-400"><Trash2 size={12} /></button>
+                </div>
+              </div>
+              <div className="text-xs text-gray-300 truncate mt-0.5">{snippet(p)}</div>
+            </li>
+          ))}
+          {drafts.map(d => (
+            <li key={d.id} className={cls('bg-white/5 rounded-lg px-2.5 py-2', activeDraftId === d.id && 'ring-1 ring-indigo-500/60')}>
+              <div className="flex items-center gap-2 text-xs text-gray-500">
+                <FilePen size={12} className="shrink-0" /> Draft{d.updatedAt && ` · saved ${formatWhen(d.updatedAt)}`}
+                <div className="ml-auto flex items-center gap-1 text-gray-400">
+                  <button onClick={() => onEditDraft(d)} title="Open in composer" className="p-1 rounded hover:bg-white/10 hover:text-gray-100"><Pencil size={12} /></button>
+                  <button onClick={() => onDeleteDraft(d)} title="Delete draft" className="p-1 rounded hover:bg-white/10 hover:text-red-400"><Trash2 size={12} /></button>
+                </div>
+              </div>
+              <div className="text-xs text-gray-300 truncate mt-0.5">{snippet(d)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Connection state plus the write queue; opens a panel with per-write retry and discard
+function SyncIndicator({ connection, entries, online, details, onRetry, onDiscard }) {
+  const [open, setOpen] = useState(false)
+  const failed = entries.filter(e => e.status === 'failed')
+  const waiting = entries.length - failed.length
+  const offline = !online && connection.state !== 'local'
+  const [Icon, label, tone] =
+    connection.state === 'error' ? [AlertTriangle, 'Connection error', 'text-red-400']
+    : connection.state === 'connecting' ? [Loader2, 'Connecting…', 'text-gray-400']
+    : offline ? [CloudOff, waiting ? `Offline · ${waiting} waiting` : 'Offline', 'text-amber-300']
+    : failed.length ? [AlertTriangle, `${failed.length} not saved`, 'text-red-400']
+    : waiting ? [RefreshCw, `Syncing ${waiting}…`, 'text-indigo-300']
+    : connection.state === 'local' ? [HardDrive, 'Saved on this device', 'text-gray-400']
+    : [Cloud, 'All changes saved', 'text-gray-400']
+  const spin = Icon === Loader2 || (Icon === RefreshCw && online)
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(v => !v)} aria-expanded={open} className={cls('inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs bg-white/5 hover:bg-white/10', tone)}>
+        <Icon size={13} className={cls(spin && 'animate-spin')} /> {label}
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-40 mt-2 w-80 bg-gray-900/95 border border-white/10 rounded-xl shadow-xl backdrop-blur-sm p-3 space-y-2 text-xs">
+            <div className="text-gray-300">{connection.detail}</div>
+            {details && <div className="text-gray-500">{details}</div>}
+            {entries.length === 0 ? (
+              <div className="text-gray-500">Nothing waiting to sync.</div>
+            ) : (
+              <ul className="space-y-1 max-h-64 overflow-auto">
+                {entries.map(e => (
+                  <li key={e.id} className="bg-white/5 rounded-lg px-2 py-1.5">
+                    <div className="flex items-center gap-2">
+                      <span className="truncate flex-1">{e.label}</span>
+                      {e.status === 'failed' ? (
+                        <>
+                          <button onClick={() => onRetry(e.id)} title="Retry" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-gray-100"><RotateCcw size={12}/></button>
+                          <button onClick={() => onDiscard(e.id)} title="Discard" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><Trash2 size={12}/></button>
+                        </>
+                      ) : <span className="text-gray-500">{offline ? 'waiting' : 'sending'}</span>}
+                    </div>
+                    {e.error && <div className="text-red-400 mt-0.5 break-words">{e.error}</div>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function SharePanel({ access, members, shareLink, onAddUid, onRemoveUid, onCreateInvite, onRevokeInvite, onRemoveMember }) {
+  const [uid, setUid] = useState('')
+  const [copied, setCopied] = useState(null)
+  const sharedWith = access?.sharedWith || []
+  const inviteCodes = access?.inviteCodes || []
+  const copy = async (key, text) => {
+    try { await navigator.clipboard.writeText(text); setCopied(key) } catch {}
+  }
+  const add = async () => {
+    const value = uid.trim()
+    if (!value || sharedWith.includes(value)) return
+    await onAddUid(value)
+    setUid('')
+  }
+  return (
+    <div className="space-y-3 border border-white/10 rounded-xl p-3">
+      <div>
+        <label className="text-xs text-gray-400">Share with user ID</label>
+        <div className="flex gap-2 mt-1">
+          <input value={uid} onChange={e=>setUid(e.target.value)} onKeyDown={e=>e.key === 'Enter' && add()} placeholder="Grantee UID" className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
+          <button onClick={add} disabled={!uid.trim()} className="px-3 py-2 rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50"><UserPlus size={14}/></button>
+        </div>
+      </div>
+      {(sharedWith.length > 0 || members.length > 0) && (
+        <ul className="space-y-1 max-h-32 overflow-auto">
+          {sharedWith.map(g => (
+            <li key={g} className="flex items-center gap-2 text-xs bg-white/5 rounded-lg px-2 py-1.5">
+              <span className="font-mono truncate flex-1">{g}</span>
+              <button onClick={() => onRemoveUid(g)} title="Remove access" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><X size={12}/></button>
+            </li>
+          ))}
+          {members.map(m => (
+            <li key={m.id} className="flex items-center gap-2 text-xs bg-white/5 rounded-lg px-2 py-1.5">
+              <span className="font-mono truncate flex-1">{m.id}</span>
+              <span className="text-gray-500">via {m.code}</span>
+              <button onClick={() => onRemoveMember(m)} title="Remove access" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><X size={12}/></button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-400">Invite codes</span>
+        <button onClick={onCreateInvite} className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/15"><Ticket size={12}/> New invite</button>
+      </div>
+      {inviteCodes.length === 0 ? (
+        <div className="text-xs text-gray-500">Anyone with an invite link can join the share list.</div>
+      ) : (
+        <ul className="space-y-1">
+          {inviteCodes.map(code => (
+            <li key={code} className="flex items-center gap-2 text-xs bg-white/5 rounded-lg px-2 py-1.5">
+              <span className="font-mono flex-1">{code}</span>
+              <button onClick={() => copy(code, shareLink(code))} title="Copy invite link" className="inline-flex items-center gap-1 p-1 rounded hover:bg-white/10 text-gray-400 hover:text-gray-100"><Copy size={12}/>{copied === code && 'Copied'}</button>
+              <button onClick={() => onRevokeInvite(code)} title="Revoke invite" className="p-1 rounded hover:bg-white/10 text-gray-400 hover:text-red-400"><Trash2 size={12}/></button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
 export default function Selphi() {
   // Settings state
-  const [firebaseConfigRaw, setFirebaseConfigRaw] = useLocalStorage('selphi_firebase_config', '')
-  const [customToken, setCustomToken] = useLocalStorage('__initial_auth_token', '')
-  const [appId, setAppId] = useLocalStorage('__app_id', '')
+  const [firebaseConfigRaw, setFirebaseConfigRaw] = useLocalStorage(SETTINGS_KEYS.config, import.meta.env.VITE_FIREBASE_CONFIG || '')
+  const [customToken, setCustomToken] = useLocalStorage(SETTINGS_KEYS.token, '')
+  const [appId, setAppId] = useLocalStorage(SETTINGS_KEYS.appId, import.meta.env.VITE_APP_ID || '')
+  const [useEmulators] = useLocalStorage(SETTINGS_KEYS.emulators, ENV_EMULATORS)
+  const [profiles, setProfiles] = useLocalStorage(PROFILE_KEYS.list, [])
+  const [activeProfileId, setActiveProfileId] = useLocalStorage(PROFILE_KEYS.active, DEFAULT_PROFILE_ID)
+  const [exportTokens, setExportTokens] = useState(false)
+  const [profileMessage, setProfileMessage] = useState(null)
+
+  // Route: /u/:uid/p/:pageId addresses a page; it is editable when uid is the signed-in user
+  const { uid: routeUid, pageId: routePageId } = useParams()
+  const followingView = !!useMatch('/following')
+  const feedFormat = useMatch('/u/:uid/p/:pageId/feed/:format')?.params.format
+  const [searchParams, setSearchParams] = useSearchParams()
+  const invite = searchParams.get('invite')
+  const focusPostId = searchParams.get('post')
+  const navigate = useNavigate()
 
-  const firebaseConfig = useMemo(() => parseFirebaseConfig(firebaseConfigRaw), [firebaseConfigRaw])
+  const firebaseConfig = useMemo(() => parseFirebaseConfig(firebaseConfigRaw) || (useEmulators ? EMULATOR_DEMO_CONFIG : null), [firebaseConfigRaw, useEmulators])
+  const allProfiles = useMemo(() => syncActive(profiles, activeProfileId, { config: firebaseConfigRaw, token: customToken, appId }), [profiles, activeProfileId, firebaseConfigRaw, customToken, appId])
+  const activeProfile = allProfiles.find(p => p.id === activeProfileId)
 
   const [app, setApp] = useState(null)
   const [auth, setAuth] = useState(null)
   const [db, setDb] = useState(null)
+  const [fileStorage, setFileStorage] = useState(null)
   const [user, setUser] = useState(null)
-  const [status, setStatus] = useState('Not connected')
+  const [authSettled, setAuthSettled] = useState(false)
+  const [connection, setConnection] = useState({ state: 'connecting', detail: 'Not connected' })
+  const [account, setAccount] = useState(null)
+  const [showAccount, setShowAccount] = useState(false)
+  const [finishingLink, setFinishingLink] = useState(false)
+  const [linkError, setLinkError] = useState(null)
+  const [linkConflict, setLinkConflict] = useState(false)
 
   // App data
   const [pages, setPages] = useState([])
-  const [activePageId, setActivePageId] = useState(null)
   const [widgets, setWidgets] = useState([])
-  const [feed, setFeed] = useState([])
 
   // UI modals
   const [showPageModal, setShowPageModal] = useState(false)
@@ -76,28 +627,78 @@ export default function Selphi() {
   const [showSettings, setShowSettings] = useState(false)
   const [mobileLeftOpen, setMobileLeftOpen] = useState(false)
   const [mobileRightOpen, setMobileRightOpen] = useState(false)
+  const [editingPage, setEditingPage] = useState(null)
+  const [editingWidget, setEditingWidget] = useState(null)
+  const [editingPost, setEditingPost] = useState(null)
+  const [confirm, setConfirm] = useState(null)
+  const [historyOf, setHistoryOf] = useState(null)
+  const [trash, setTrash] = useState([])
+  const [showTrash, setShowTrash] = useState(false)
+  const [undo, setUndo] = useState(null)
+  const [actionError, setActionError] = useState(null)
+  const [pageMembers, setPageMembers] = useState([])
+  const [pageAccess, setPageAccess] = useState(null)
+  const [localPageCount, setLocalPageCount] = useState(0)
+  const [importState, setImportState] = useState(null)
+  const [importing, setImporting] = useState(false)
+
+  // Search: posts for the index are only subscribed to while the search box is open
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchOpen, setSearchOpen] = useState(false)
+  const [searchPosts, setSearchPosts] = useState([])
+  const [focusedPost, setFocusedPost] = useState(null)
+
+  // Widget drag state: which widget is moving and the slot it would drop into
+  const [drag, setDrag] = useState(null)
+  const [focusWidgetId, setFocusWidgetId] = useState(null)
+  const [layoutAnnouncement, setLayoutAnnouncement] = useState('')
+
+  // Someone else's page opened through its URL
+  const [sharedPage, setSharedPage] = useState(null)
+  const [sharedWidgets, setSharedWidgets] = useState([])
+  const [sharedReady, setSharedReady] = useState(false)
+  const [sharedError, setSharedError] = useState(null)
 
   // Form state
-  const [newPage, setNewPage] = useState({ name: '', privacyLevel: 'private' })
-  const [newWidget, setNewWidget] = useState({ type: 'link', content: '', order: 0 })
+  const [newPage, setNewPage] = useState({ name: '', privacyLevel: 'private', templateId: '' })
+  const [templates, setTemplates] = useState([])
+  const [follows, setFollows] = useState([])
+  const [newWidget, setNewWidget] = useState({ type: 'link', content: '' })
   const [newPost, setNewPost] = useState('')
+  const [newAttachments, setNewAttachments] = useState([])
+  const [posting, setPosting] = useState(false)
+  const [postError, setPostError] = useState(null)
+  const [scheduleAt, setScheduleAt] = useState('')
+  const [showSchedule, setShowSchedule] = useState(false)
+  const [crossPostIds, setCrossPostIds] = useState([])
+  const [showCrossPost, setShowCrossPost] = useState(false)
+  const [draftId, setDraftId] = useState(null)
+  const [drafts, setDrafts] = useState([])
+  const [scheduledPosts, setScheduledPosts] = useState([])
 
-  // Initialize Firebase
+  // Initialize Firebase; without a config the app runs against local storage
   useEffect(() => {
-    if (!firebaseConfig) { setStatus('Awaiting Firebase config'); return }
+    if (!firebaseConfig) {
+      setAuth(null); setDb(null); setFileStorage(null); setUser(LOCAL_USER)
+      setConnection({ state: 'local', detail: 'No Firebase config. Everything is saved in this browser.' })
+      return
+    }
+    setUser(null)
+    setAuthSettled(false)
+    let instances = null
     try {
-      const existing = getApps()
-      const appInstance = existing.length ? existing[0] : initializeApp(firebaseConfig)
-      const authInstance = getAuth(appInstance)
-      const dbInstance = getFirestore(appInstance)
-      setApp(appInstance)
-      setAuth(authInstance)
-      setDb(dbInstance)
-      setStatus('Firebase initialized')
+      instances = initFirebase(firebaseConfig, { emulators: useEmulators, name: profileAppName(activeProfileId) })
+      setApp(instances.app)
+      setAuth(instances.auth)
+      setDb(instances.db)
+      setFileStorage(instances.storage)
+      setConnection({ state: 'connecting', detail: 'Firebase initialized' })
     } catch (e) {
-      setStatus(`Init error: ${e.message}`)
+      setConnection({ state: 'error', detail: `Init error: ${e.message}` })
     }
-  }, [firebaseConfig])
+    // A new config or profile gets fresh instances instead of reusing these
+    return () => { if (instances) teardownFirebase(instances) }
+  }, [firebaseConfig, useEmulators, activeProfileId])
 
   // Authenticate
   useEffect(() => {
@@ -105,142 +706,944 @@ export default function Selphi() {
     let unsub = onAuthStateChanged(auth, async (u) => {
       if (u) {
         setUser(u)
-        setStatus('Authenticated')
+        setAuthSettled(true)
+        setConnection({ state: 'online', detail: u.isAnonymous ? 'Signed in as a guest' : `Signed in as ${u.email || u.uid}` })
       } else {
         try {
           if (customToken) {
-            setStatus('Signing in with custom token...')
+            setConnection({ state: 'connecting', detail: 'Signing in with custom token…' })
             await signInWithCustomToken(auth, customToken)
           } else {
-            setStatus('Signing in anonymously...')
+            setConnection({ state: 'connecting', detail: 'Signing in anonymously…' })
             await signInAnonymously(auth)
           }
         } catch (e) {
-          setStatus(`Auth error: ${e.message}`)
+          setAuthSettled(true)
+          setConnection({ state: 'error', detail: `Auth error: ${e.message}` })
         }
       }
     })
     return () => unsub && unsub()
   }, [auth, customToken])
 
-  // Firestore subscriptions
+  // Linking a guest keeps the same user object, so the account summary follows token changes instead
   useEffect(() => {
-    if (!db || !user || !appId) return
-
-    const basePath = `artifacts/${appId}/users/${user.uid}/selphi_data`
-
-    // Pages
-    const pagesCol = collection(db, `${basePath}/niche_pages`)
-    const unsubPages = onSnapshot(pagesCol, (snap) => {
-      const list = snap.docs.map(d => ({ id: d.id, ...d.data() }))
-      setPages(list)
-      if (!activePageId) {
-        const def = list.find(p => p.isDefault) || list[0]
-        setActivePageId(def ? def.id : null)
-      }
-    })
+    if (!auth) { setAccount(null); return }
+    return onIdTokenChanged(auth, u => setAccount(describeAccount(u)))
+  }, [auth])
 
-    // Widgets
-    const widgetsCol = collection(db, `${basePath}/widgets`)
-    const unsubWidgets = onSnapshot(widgetsCol, (snap) => {
-      setWidgets(snap.docs.map(d => ({ id: d.id, ...d.data() })))
-    })
+  // Opened from a sign-in email: finish right away when this browser sent it, otherwise ask for the address
+  useEffect(() => {
+    if (!auth || !authSettled || !hasPendingEmailLink(auth)) return
+    const email = savedLinkEmail()
+    if (!email) { setFinishingLink(true); setShowAccount(true); return }
+    completeEmailLink(auth, email)
+      .then(u => { setAccount(describeAccount(u)); navigate(window.location.pathname, { replace: true }) })
+      .catch(e => {
+        // The address has its own account: keep the link while the modal asks what happens to the guest's pages
+        if (isAccountConflict(e)) { setFinishingLink(true); setLinkConflict(true); setShowAccount(true); return }
+        setLinkError(`Sign-in link failed: ${authErrorMessage(e)}`)
+        setShowAccount(true)
+        navigate(window.location.pathname, { replace: true })
+      })
+  }, [auth, authSettled])
 
-    // Feed
-    const feedCol = collection(db, `${basePath}/feed_posts`)
-    const unsubFeed = onSnapshot(query(feedCol, orderBy('timestamp', 'desc')), (snap) => {
-      setFeed(snap.docs.map(d => ({ id: d.id, ...d.data() })))
-    })
+  const localStore = useMemo(() => createLocalStore(LOCAL_BASE_PATH), [])
+  const store = useMemo(() => {
+    if (!firebaseConfig) return localStore
+    if (!db || !user || !appId) return null
+    return createFirebaseStore(db, `artifacts/${appId}/users/${user.uid}/selphi_data`, fileStorage)
+  }, [firebaseConfig, localStore, db, fileStorage, user, appId])
+
+  // Creates go through the persisted queue; anything in it is shown as pending
+  const { queue, entries: queueEntries, online } = useWriteQueue(store)
+  const pendingIds = useMemo(() => new Set(queueEntries.map(e => e.id)), [queueEntries])
+  const notifications = useNotifications(store, queueEntries)
+
+  // Data subscriptions
+  useEffect(() => {
+    if (!store) return
+    const unsubs = [
+      store.subscribe('niche_pages', {}, setPages),
+      store.subscribe('widgets', {}, setWidgets),
+      store.subscribe('page_templates', {}, setTemplates),
+      store.subscribe('follows', {}, setFollows),
+      store.subscribe('trash', {}, setTrash),
+    ]
+    return () => unsubs.forEach(u => u())
+  }, [store])
+
+  const ownRoute = !routeUid || (!!user && routeUid === user.uid)
+  const sharedTarget = useMemo(() => (
+    ownRoute || !routePageId ? null : { ownerUid: routeUid, pageId: routePageId, invite }
+  ), [ownRoute, routeUid, routePageId, invite])
+  const sharedStore = useMemo(() => (
+    db && appId && sharedTarget ? createFirebaseStore(db, `artifacts/${appId}/users/${sharedTarget.ownerUid}/selphi_data`) : null
+  ), [db, appId, sharedTarget])
+
+  // Read-only stores over followed users' data, one per owner so listeners keep a stable store
+  const storeFor = useMemo(() => {
+    if (!db || !appId) return null
+    const stores = new Map()
+    return (uid) => {
+      if (!stores.has(uid)) stores.set(uid, createFirebaseStore(db, `artifacts/${appId}/users/${uid}/selphi_data`))
+      return stores.get(uid)
+    }
+  }, [db, appId])
+
+  // Shared page subscriptions (read-only, scoped to a single pageId so the rules can authorize them).
+  // Waits for auth to settle rather than for a user, so signed-out visitors can still read public pages.
+  useEffect(() => {
+    if (sharedTarget && !firebaseConfig) { setSharedError('Connect Firebase in Settings to view shared pages.'); return }
+    if (!sharedStore || (auth && !authSettled)) return
+    const { pageId, invite } = sharedTarget
+    const onError = (e) => setSharedError(e.code === 'permission-denied' ? 'You do not have access to this page.' : e.message)
+    let unsubs = []
+    let cancelled = false
+
+    const subscribe = () => {
+      unsubs = [
+        sharedStore.watch('niche_pages', pageId, setSharedPage, onError),
+        sharedStore.subscribe('widgets', { where: ['pageId', pageId] }, setSharedWidgets, onError),
+      ]
+      setSharedReady(true)
+    }
+
+    setSharedError(null)
+    const redeem = invite && user
+      ? sharedStore.set(`niche_pages/${pageId}/members`, user.uid, { code: invite, joinedAt: sharedStore.now() })
+      : Promise.resolve()
+    redeem
+      .catch(() => {}) // Already a member, or the code was revoked; the reads below decide access
+      .then(() => { if (!cancelled) subscribe() })
 
     return () => {
-      unsubPages(); unsubWidgets(); unsubFeed()
+      cancelled = true
+      unsubs.forEach(u => u())
+      setSharedPage(null); setSharedWidgets([]); setSharedReady(false)
     }
-  }, [db, user, appId])
+  }, [sharedStore, firebaseConfig, auth, authSettled, user?.uid, sharedTarget])
 
-  const activePage = useMemo(() => pages.find(p => p.id === activePageId), [pages, activePageId])
-  const leftWidgets = useMemo(() => widgets.filter(w => w.panelLocation === 'left' && w.pageId === activePageId).sort((a,b)=> (a.order||0)-(b.order||0)), [widgets, activePageId])
-  const rightWidgets = useMemo(() => widgets.filter(w => w.panelLocation === 'right' && w.pageId === activePageId).sort((a,b)=> (a.order||0)-(b.order||0)), [widgets, activePageId])
-  const pageFeed = useMemo(() => feed.filter(p => p.pageId === activePageId), [feed, activePageId])
+  // The share list and invite codes of the page being edited, and who joined through a code
+  useEffect(() => {
+    if (!store || store.kind !== 'firebase' || !editingPage) { setPageMembers([]); setPageAccess(null); return }
+    const unsubs = [
+      store.subscribe(`niche_pages/${editingPage.id}/members`, {}, setPageMembers),
+      store.watch(accessPath(editingPage.id), ACCESS_DOC, setPageAccess),
+    ]
+    return () => unsubs.forEach(u => u())
+  }, [store, editingPage?.id])
+
+  // Local data waiting to be moved into Firestore
+  useEffect(() => {
+    if (!showSettings || !store || store.kind !== 'firebase') return
+    localStore.list('niche_pages').then(list => setLocalPageCount(list.length))
+  }, [showSettings, store, localStore])
+
+  const defaultPageId = (pages.find(p => p.isDefault) || pages[0])?.id ?? null
+  const activePageId = ownRoute && routePageId && pages.some(p => p.id === routePageId) ? routePageId : defaultPageId
+
+  const readOnly = !!sharedTarget
+  const viewPages = readOnly ? (sharedPage ? [sharedPage] : []) : pages
+  const viewPageId = readOnly ? sharedTarget.pageId : activePageId
+  const viewWidgets = readOnly ? sharedWidgets : widgets
+  const activePage = useMemo(() => viewPages.find(p => p.id === viewPageId), [viewPages, viewPageId])
+  const pageNames = useMemo(() => new Map(pages.map(p => [p.id, p.name])), [pages])
+  const pageTrash = useMemo(() => trash.filter(t => t.pageId === activePageId), [trash, activePageId])
+  const crossPostTargets = useMemo(() => pages.filter(p => p.id !== activePageId && crossPostIds.includes(p.id)), [pages, activePageId, crossPostIds])
+  // Owners only: visitors may not be able to open the other pages, or even know their names
+  const alsoOn = (p) => readOnly ? null : (p.pageIds || []).filter(id => id !== viewPageId).map(id => pageNames.get(id)).filter(Boolean)
+  const leftWidgets = useMemo(() => viewWidgets.filter(w => w.panelLocation === 'left' && w.pageId === viewPageId).sort((a,b)=> (a.order||0)-(b.order||0)), [viewWidgets, viewPageId])
+  const rightWidgets = useMemo(() => viewWidgets.filter(w => w.panelLocation === 'right' && w.pageId === viewPageId).sort((a,b)=> (a.order||0)-(b.order||0)), [viewWidgets, viewPageId])
+  const feedStore = readOnly ? (sharedReady ? sharedStore : null) : store
+  const { posts: pageFeed, loading: feedLoading, hasMore: feedHasMore, loadMore: loadMoreFeed } = usePagedFeed(feedStore, viewPageId, { live: readOnly })
+
+  // Drafts and the scheduled queue are the owner's alone
+  useEffect(() => {
+    if (!store || readOnly || !activePageId) { setDrafts([]); setScheduledPosts([]); return }
+    const unsubs = [
+      store.subscribe('post_drafts', { where: ['pageId', activePageId] }, setDrafts),
+      store.subscribe('feed_posts', { where: [['pageId', activePageId], ['scheduled', true]] }, setScheduledPosts),
+    ]
+    return () => unsubs.forEach(u => u())
+  }, [store, readOnly, activePageId])
+
+  const now = useNow([...pageFeed, ...scheduledPosts])
+  const feedStoreOf = useCallback(() => feedStore, [feedStore])
+  const resolvedFeed = useResolvedPosts(pageFeed, feedStoreOf)
+  const liveFeed = useMemo(() => resolvedFeed.filter(p => isLive(p, now)), [resolvedFeed, now])
+  // The owner's feed query also returns scheduled posts, so a page of them alone would leave
+  // nothing on screen to scroll for more; keep paging until something is live
+  useEffect(() => {
+    if (!readOnly && !feedLoading && feedHasMore && liveFeed.length === 0) loadMoreFeed()
+  }, [readOnly, feedLoading, feedHasMore, liveFeed.length, loadMoreFeed])
+  const upcomingPosts = useMemo(() => scheduledPosts.filter(p => !isLive(p, now)).sort((a, b) => a.timestamp - b.timestamp), [scheduledPosts, now])
+  const sortedDrafts = useMemo(() => [...drafts].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)), [drafts])
+  const pageWidgets = useMemo(() => widgets.filter(w => w.pageId === activePageId), [widgets, activePageId])
+  // The page being edited previews its unsaved theme
+  const theme = useMemo(() => normalizeTheme(editingPage?.id === viewPageId ? editingPage.theme : activePage?.theme), [editingPage, viewPageId, activePage])
+  const editingPageLive = useMemo(() => editingPage && pages.find(p => p.id === editingPage.id), [editingPage, pages])
+
+  // On a shared page only that page's due posts are readable, so the index is scoped to them
+  const searchBound = useLiveBound(readOnly && searchOpen)
+  useEffect(() => {
+    if (!searchOpen || !feedStore) { setSearchPosts([]); return }
+    const q = readOnly ? { where: ['pageId', viewPageId], upTo: ['timestamp', searchBound], orderBy: ['timestamp', 'desc'] } : {}
+    return feedStore.subscribe('feed_posts', q, setSearchPosts, () => {})
+  }, [searchOpen, feedStore, readOnly, viewPageId, searchBound])
+
+  // The owner's index already holds every post, so cross-post references only need resolving for visitors
+  const sharedSearchPosts = useResolvedPosts(readOnly ? searchPosts : [], feedStoreOf)
+  const searchIdx = useMemo(() => (
+    searchOpen ? buildSearchIndex({ pages: viewPages, widgets: viewWidgets, posts: readOnly ? sharedSearchPosts.filter(p => isLive(p, now)) : searchPosts.filter(p => !p.ref) }) : []
+  ), [searchOpen, viewPages, viewWidgets, searchPosts, sharedSearchPosts, readOnly, now])
+  const searchResults = useMemo(() => searchIndex(searchIdx, searchQuery), [searchIdx, searchQuery])
+
+  // A post linked from search (?post=) is pinned above the feed, wherever it sits in the paging
+  useEffect(() => {
+    if (!focusPostId || !feedStore) { setFocusedPost(null); return }
+    return feedStore.watch('feed_posts', focusPostId, setFocusedPost, () => setFocusedPost(null))
+  }, [focusPostId, feedStore])
+
+  const openOwnPage = (pageId, postId) => {
+    if (user) navigate(`${pageUrl(user.uid, pageId)}${postId ? `?post=${postId}` : ''}`)
+  }
+
+  const openResult = (r) => {
+    const ownerUid = readOnly ? sharedTarget.ownerUid : user?.uid
+    if (!ownerUid) return
+    navigate(`${pageUrl(ownerUid, r.pageId)}${r.kind === 'post' ? `?post=${r.id}` : ''}`)
+    setSearchOpen(false)
+  }
+
+  const searchTag = (tag) => {
+    setSearchQuery(`#${tag}`)
+    setSearchOpen(true)
+  }
+
+  const clearFocusedPost = () => setSearchParams(params => {
+    const next = new URLSearchParams(params)
+    next.delete('post')
+    return next
+  }, { replace: true })
 
   // Actions
+  // A template writes the page and its widgets in one batch, so it skips the create queue
   const createPage = async () => {
-    if (!db || !user || !appId) return
+    if (!queue) return
     if (!newPage.name.trim()) return
-    const basePath = `artifacts/${appId}/users/${user.uid}/selphi_data`
-    await addDoc(collection(db, `${basePath}/niche_pages`), {
+    const template = [...BUILT_IN_TEMPLATES, ...templates].find(t => t.id === newPage.templateId)
+    setNewPage({ name: '', privacyLevel: 'private', templateId: '' })
+    setShowPageModal(false)
+    if (template) {
+      const page = { name: newPage.name.trim(), privacyLevel: newPage.privacyLevel, isDefault: pages.length === 0 }
+      const { pageId, ops } = templateOps(template, page, { userId: user.uid, newId: store.newId, now: store.now() })
+      const write = store.batch(ops)
+      openOwnPage(pageId)
+      return write.catch(e => setActionError(`Page "${page.name}" was not created: ${e.message}`))
+    }
+    queue.enqueue('niche_pages', {
       userId: user.uid,
       name: newPage.name.trim(),
       privacyLevel: newPage.privacyLevel,
       isDefault: pages.length === 0,
-      createdAt: serverTimestamp(),
+      createdAt: QUEUED_NOW,
+    }, `Page "${newPage.name.trim()}"`)
+  }
+
+  const pickTemplate = (t) => setNewPage(p => ({ ...p, templateId: t?.id || '', name: p.name.trim() || !t ? p.name : t.name }))
+
+  const saveTemplate = async (page) => {
+    if (!store) return
+    await store.add('page_templates', {
+      userId: user.uid,
+      ...captureTemplate(page, widgets.filter(w => w.pageId === page.id), page.name),
+      createdAt: store.now(),
     })
-    setNewPage({ name: '', privacyLevel: 'private' })
-    setShowPageModal(false)
   }
 
-  const createWidget = async (panelLocation) => {
-    if (!db || !user || !appId || !activePageId) return
-    if (!newWidget.content.trim()) return
-    const basePath = `artifacts/${appId}/users/${user.uid}/selphi_data`
-    await addDoc(collection(db, `${basePath}/widgets`), {
+  const deleteTemplate = (t) => store.remove('page_templates', t.id)
+
+  const follow = followingView || !sharedTarget ? null : follows.find(f => f.id === followId(sharedTarget.ownerUid, sharedTarget.pageId))
+
+  // The page name is kept as a fallback for when the page can no longer be read
+  const toggleFollow = async () => {
+    if (follow) return unfollow(follow).catch(e => setActionError(`Not unfollowed: ${e.message}`))
+    const { ownerUid, pageId } = sharedTarget
+    try {
+      await store.set('follows', followId(ownerUid, pageId), { userId: user.uid, ownerUid, pageId, pageName: sharedPage.name, muted: false, createdAt: store.now() })
+    } catch (e) {
+      return setActionError(`Not followed: ${e.message}`)
+    }
+    notifyFollower(sharedStore, user, pageId)
+  }
+
+  // Rejects, so the unfollow confirmation can show why it failed
+  const unfollow = (f) => store.remove('follows', f.id)
+
+  const toggleMute = (f) => store.update('follows', f.id, { muted: !f.muted })
+    .catch(e => setActionError(`${f.muted ? 'Not unmuted' : 'Not muted'}: ${e.message}`))
+
+  // Tags in the timeline open the post's own page with that tag searched
+  const openFollowedTag = (f, tag) => {
+    navigate(pageUrl(f.ownerUid, f.pageId))
+    searchTag(tag)
+  }
+
+  // Opens the copy straight away; Firestore has it in the local cache before the server acknowledges
+  const duplicatePage = async (page, withPosts) => {
+    if (!store) return
+    try {
+      const posts = withPosts ? await store.list('feed_posts', { where: ['pageId', page.id] }) : []
+      const { pageId, ops } = duplicateOps(page, {
+        widgets: widgets.filter(w => w.pageId === page.id),
+        posts,
+        name: `${page.name} (copy)`,
+      }, { userId: user.uid, newId: store.newId, now: store.now() })
+      const write = store.batch(ops)
+      setEditingPage(null)
+      openOwnPage(pageId)
+      await write
+    } catch (e) {
+      setActionError(`"${page.name}" was not duplicated: ${e.message}`)
+    }
+  }
+
+  // A self-hostable copy of the page as it shows now, so only the loaded posts go in
+  // Images that cannot be copied would still be loaded from Firebase at view time, so the owner decides
+  const exportSite = async (page) => {
+    setEditingPage(p => ({ ...p, exporting: true, exportError: null }))
+    try {
+      const { files, missing } = await buildStaticSite({
+        page,
+        widgets: widgets.filter(w => w.pageId === page.id),
+        posts: page.id === viewPageId ? liveFeed : [],
+        origin: window.location.origin,
+        widgetHtml: widgetStaticHtml,
+      })
+      const name = page.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'page'
+      const download = () => downloadBlob(`${name}-site.zip`, new Blob([zipFiles(files)], { type: 'application/zip' }))
+      if (!missing.length) download()
+      else askConfirm(
+        'Some images were not copied',
+        `${missing.length} ${missing.length === 1 ? 'image' : 'images'} could not be downloaded, usually because the server storing them does not allow it (CORS). The exported site would keep loading them from there.`,
+        download,
+        'Export anyway',
+      )
+    } catch (e) {
+      setEditingPage(p => p && { ...p, exportError: `Export failed: ${e.message}` })
+    } finally {
+      setEditingPage(p => p && { ...p, exporting: false })
+    }
+  }
+
+  const createWidget = (panelLocation) => {
+    if (!queue || !activePageId) return
+    if (widgetError(newWidget.type, newWidget.content)) return
+    queue.enqueue('widgets', {
       userId: user.uid,
       type: newWidget.type,
       content: newWidget.content.trim(),
       panelLocation,
-      order: Number(newWidget.order) || 0,
+      order: nextOrder(pageWidgets, panelLocation),
       pageId: activePageId,
-      createdAt: serverTimestamp(),
-    })
-    setNewWidget({ type: 'link', content: '', order: 0 })
+      createdAt: QUEUED_NOW,
+    }, `${widgetTypes[newWidget.type].label} widget on ${activePage?.name || 'page'}`)
+    setNewWidget({ type: 'link', content: '' })
     panelLocation === 'left' ? setShowLeftWidgetModal(false) : setShowRightWidgetModal(false)
   }
 
-  const createPost = async () => {
-    if (!db || !user || !appId || !activePageId) return
-    if (!newPost.trim()) return
-    const basePath = `artifacts/${appId}/users/${user.uid}/selphi_data`
-    await addDoc(collection(db, `${basePath}/feed_posts`), {
-      userId: user.uid,
-      content: newPost.trim(),
-      pageId: activePageId,
-      timestamp: serverTimestamp(),
-    })
+  const addAttachments = (files) => {
+    const images = Array.from(files || []).filter(f => f.type.startsWith('image/'))
+    setNewAttachments(list => [...list, ...images.map(file => ({ file, previewUrl: URL.createObjectURL(file) }))].slice(0, 4))
+  }
+
+  const removeAttachment = (index) => setNewAttachments(list => {
+    if (list[index].file) URL.revokeObjectURL(list[index].previewUrl)
+    return list.filter((_, i) => i !== index)
+  })
+
+  // Offline attachments, and any without a Storage bucket, are inlined into the document, so they are kept smaller
+  const uploadAttachments = async () => {
+    const folder = `attachments/${crypto.randomUUID()}`
+    return Promise.all(newAttachments.map(async ({ file, uploaded }, i) => {
+      if (uploaded) return uploaded
+      const { blob, width, height } = await prepareImage(file, store.inlinesFiles ? 1024 : 1600)
+      const { url, path } = await store.uploadFile(`${folder}/${i}-${file.name.replace(/[^\w.-]/g, '_')}`, blob)
+      return { type: 'image', url, path, name: file.name, width, height }
+    }))
+  }
+
+  const resetComposer = () => {
+    newAttachments.forEach(a => a.file && URL.revokeObjectURL(a.previewUrl))
     setNewPost('')
+    setNewAttachments([])
+    setScheduleAt('')
+    setShowSchedule(false)
+    setCrossPostIds([])
+    setShowCrossPost(false)
+    setDraftId(null)
+  }
+
+  const composerBlocked = () => {
+    if (newAttachments.some(a => a.file) && store.kind === 'firebase' && !online) {
+      setPostError('Images need a connection to upload. Remove them to post offline.')
+      return true
+    }
+    return false
+  }
+
+  // Only image uploads wait on the network; the post itself is queued like any other create.
+  // A schedule time becomes the post's timestamp, so the feed ordering needs nothing extra.
+  // Cross-posts are one post plus a reference per extra page (see lib/crossPost).
+  const createPost = async (confirmed) => {
+    if (!queue || !activePageId || posting) return
+    if (!newPost.trim() && newAttachments.length === 0) return
+    const publishAt = fromLocalInput(scheduleAt)
+    if (publishAt && publishAt <= new Date()) { setPostError('Pick a time in the future to schedule.'); return }
+    if (composerBlocked()) return
+    const widened = privacyWidening(activePage, crossPostTargets)
+    if (widened.length && confirmed !== true) {
+      askConfirm('Share to a more open page?', `"${activePage.name}" is ${activePage.privacyLevel}, but ${widened.map(t => `"${t.name}" is ${t.privacyLevel}`).join(' and ')}. Everyone who can see ${widened.length > 1 ? 'those pages' : 'that page'} will see this post.`, () => createPost(true), 'Post anyway')
+      return
+    }
+    setPosting(true)
+    setPostError(null)
+    try {
+      const attachments = await uploadAttachments()
+      const content = newPost.trim()
+      const pageIds = [activePageId, ...crossPostTargets.map(t => t.id)]
+      const post = {
+        v: POST_VERSION,
+        format: 'markdown',
+        userId: user.uid,
+        content,
+        tags: extractTags(content),
+        attachments,
+        pageId: activePageId,
+        ...(pageIds.length > 1 ? { pageIds } : {}),
+        timestamp: publishAt || QUEUED_NOW,
+        ...(publishAt ? { scheduled: true } : {}),
+      }
+      const summary = content.slice(0, 40) || 'images'
+      const postId = queue.enqueue('feed_posts', post, `${publishAt ? 'Scheduled post' : 'Post'} on ${activePage?.name || 'page'}: ${summary}`)
+      for (const t of crossPostTargets) queue.enqueue('feed_posts', refData(post, postId, t.id), `Cross-post to ${t.name}: ${summary}`, refId(postId, t.id))
+      if (draftId) store.remove('post_drafts', draftId).catch(() => {})
+      resetComposer()
+    } catch (e) {
+      setPostError(`Image upload failed: ${e.message}`)
+    } finally {
+      setPosting(false)
+    }
+  }
+
+  const saveDraft = async () => {
+    if (!queue || !activePageId || posting) return
+    if (!newPost.trim() && newAttachments.length === 0) return
+    if (composerBlocked()) return
+    setPosting(true)
+    setPostError(null)
+    try {
+      const attachments = await uploadAttachments()
+      const content = newPost.trim()
+      if (draftId) store.update('post_drafts', draftId, { content, attachments, updatedAt: store.now() }).catch(e => setPostError(`Draft not saved: ${e.message}`))
+      else queue.enqueue('post_drafts', { userId: user.uid, pageId: activePageId, content, attachments, updatedAt: QUEUED_NOW }, `Draft on ${activePage?.name || 'page'}: ${content.slice(0, 40) || 'images'}`)
+      resetComposer()
+    } catch (e) {
+      setPostError(`Image upload failed: ${e.message}`)
+    } finally {
+      setPosting(false)
+    }
   }
 
+  const openDraft = (d) => {
+    resetComposer()
+    setNewPost(d.content || '')
+    setNewAttachments((d.attachments || []).map(a => ({ uploaded: a, previewUrl: a.url })))
+    setDraftId(d.id)
+    setPostError(null)
+  }
+
+  const deleteDraft = async (d) => {
+    if (!store) return
+    if (draftId === d.id) resetComposer()
+    await store.remove('post_drafts', d.id)
+    await deleteAttachments([d])
+  }
+
+  // Published by hand, so it leaves the queue without a "went live" notification
+  const publishNow = (p) => store.batch([
+    revisionOp(store, 'feed_posts', p, 'publish'),
+    { type: 'update', path: 'feed_posts', id: p.id, data: { timestamp: store.now(), scheduled: false } },
+    ...refUpdateOps(p, { timestamp: store.now() }),
+  ]).catch(e => setPostError(`Not published: ${e.message}`))
+
+  const reschedule = (p, value) => {
+    const at = fromLocalInput(value)
+    if (at && at > new Date()) {
+      store.batch([revisionOp(store, 'feed_posts', p, 'reschedule'), { type: 'update', path: 'feed_posts', id: p.id, data: { timestamp: at } }, ...refUpdateOps(p, { timestamp: at })])
+        .catch(e => setPostError(`Not rescheduled: ${e.message}`))
+    } else {
+      setPostError('Pick a time in the future to reschedule.')
+    }
+  }
+
+  // Back to a draft: nothing has been published, so the post goes with any stray reactions
+  // and its history, which is why this leaves no revision
+  const unschedule = async (p) => {
+    await store.batch([
+      { type: 'set', path: 'post_drafts', id: store.newId('post_drafts'), data: { userId: user.uid, pageId: p.pageId, content: p.content || '', attachments: p.attachments || [], updatedAt: store.now() } },
+      ...await postChildrenOps(store, p.id),
+      ...await revisionDeleteOps(store, 'feed_posts', p.id),
+      ...refDeleteOps(p),
+      { type: 'delete', path: 'feed_posts', id: p.id },
+    ])
+  }
+
+  // Best effort: a missing file should not block deleting the document. Runs after the
+  // documents are gone, so files a duplicate still shares are left in place
+  const deleteAttachments = async (posts) => {
+    const paths = await unusedFiles(store, posts.flatMap(p => p.attachments || [])).catch(() => [])
+    await Promise.all(paths.map(path => store.deleteFile(path).catch(() => {})))
+  }
+
+  // Edit modals stay open on failure and show why, like ConfirmModal
+  const pageEditFailed = (e) => setEditingPage(p => p && ({ ...p, error: failureText(e) }))
+  const widgetEditFailed = (e) => setEditingWidget(w => w && ({ ...w, error: failureText(e) }))
+  const postEditFailed = (e) => setEditingPost(p => p && ({ ...p, error: failureText(e) }))
+
+  const updatePage = async () => {
+    if (!store || !editingPage) return
+    if (!editingPage.name.trim()) return
+    if (!themeValid(editingPage.theme)) return
+    try {
+      await store.update('niche_pages', editingPage.id, {
+        name: editingPage.name.trim(),
+        privacyLevel: editingPage.privacyLevel,
+        theme: normalizeTheme(editingPage.theme),
+        updatedAt: store.now(),
+      })
+    } catch (e) {
+      return pageEditFailed(e)
+    }
+    setEditingPage(null)
+  }
+
+  const setDefaultPage = async (pageId) => {
+    if (!store) return
+    await store.batch(pages.filter(p => p.id === pageId || p.isDefault).map(p => (
+      { type: 'update', path: 'niche_pages', id: p.id, data: { isDefault: p.id === pageId } }
+    )))
+  }
+
+  // Removes the page together with every widget and post that references it
+  const deletePage = async (page) => {
+    if (!store) return
+    const byPage = { where: ['pageId', page.id] }
+    const membersPath = `niche_pages/${page.id}/members`
+    const [pageWidgets, pagePosts, pageDrafts, pageTrash, members] = await Promise.all([
+      store.list('widgets', byPage),
+      store.list('feed_posts', byPage),
+      store.list('post_drafts', byPage),
+      store.list('trash', byPage),
+      store.kind === 'firebase' ? store.list(membersPath) : [],
+    ])
+    const heir = page.isDefault && pages.find(p => p.id !== page.id)
+    // Posts cross-posted in from other pages stay there and just drop this page
+    const refs = pagePosts.filter(p => p.ref)
+    const ownPosts = pagePosts.filter(p => !p.ref)
+    await store.batch([
+      ...(await Promise.all(pageWidgets.map(w => widgetChildrenOps(store, w)))).flat(),
+      ...(await Promise.all(pageWidgets.map(w => revisionDeleteOps(store, 'widgets', w.id)))).flat(),
+      ...pageWidgets.map(w => ({ type: 'delete', path: 'widgets', id: w.id })),
+      ...(await Promise.all(ownPosts.map(p => postChildrenOps(store, p.id)))).flat(),
+      ...(await Promise.all(ownPosts.map(p => revisionDeleteOps(store, 'feed_posts', p.id)))).flat(),
+      ...ownPosts.flatMap(refDeleteOps),
+      ...refs.map(p => ({ type: 'update', path: 'feed_posts', id: p.ref, data: { pageIds: store.arrayRemove(page.id) } })),
+      ...pagePosts.map(p => ({ type: 'delete', path: 'feed_posts', id: p.id })),
+      ...pageDrafts.map(d => ({ type: 'delete', path: 'post_drafts', id: d.id })),
+      ...(await Promise.all(pageTrash.map(purgeOps))).flat(),
+      ...members.map(m => ({ type: 'delete', path: membersPath, id: m.id })),
+      ...(store.kind === 'firebase' ? [{ type: 'delete', path: accessPath(page.id), id: ACCESS_DOC }] : []),
+      ...(heir ? [{ type: 'update', path: 'niche_pages', id: heir.id, data: { isDefault: true } }] : []),
+      { type: 'delete', path: 'niche_pages', id: page.id },
+    ])
+    await deleteAttachments([...ownPosts, ...pageDrafts, ...pageTrash])
+    setEditingPage(null)
+    if (routePageId === page.id) navigate('/', { replace: true })
+  }
+
+  const updateWidget = async () => {
+    if (!store || !editingWidget) return
+    if (widgetError(editingWidget.type, editingWidget.content)) return
+    const data = { type: editingWidget.type, content: editingWidget.content.trim() }
+    const { before } = editingWidget
+    try {
+      await store.batch([
+        ...(sameSnapshot('widgets', before, data) ? [] : [revisionOp(store, 'widgets', before, 'edit')]),
+        { type: 'update', path: 'widgets', id: before.id, data: { ...data, updatedAt: store.now() } },
+      ])
+    } catch (e) {
+      return widgetEditFailed(e)
+    }
+    setEditingWidget(null)
+  }
+
+  const moveWidget = async (id, panel, slot) => {
+    if (!store) return
+    const updates = planMove(pageWidgets, id, panel, slot)
+    if (!updates.length) return
+    await store.batch(updates.map(({ id, panelLocation, order }) => (
+      { type: 'update', path: 'widgets', id, data: { panelLocation, order } }
+    )))
+    const placed = updates.find(u => u.id === id)
+    if (placed) setLayoutAnnouncement(`Moved to ${placed.panelLocation} panel, position ${placed.order + 1}.`)
+  }
+
+  const onWidgetKey = async (e, w, panel, index, list) => {
+    const moves = {
+      ArrowUp: index > 0 && [panel, index - 1],
+      ArrowDown: index < list.length - 1 && [panel, index + 2],
+      ArrowLeft: panel === 'right' && ['left', index],
+      ArrowRight: panel === 'left' && ['right', index],
+    }
+    if (!(e.key in moves)) return
+    e.preventDefault()
+    if (!moves[e.key]) return
+    await moveWidget(w.id, ...moves[e.key])
+    setFocusWidgetId(w.id)
+  }
+
+  // Deletes go to the trash (see lib/history), with a moment to undo
+  const offerUndo = (message, path, doc) => setUndo({ key: `${path}/${doc.id}`, message, item: toTrash(path, doc) })
+
+  const deleteWidget = async (widget) => {
+    if (!store) return
+    try {
+      await store.batch(trashOps(store, 'widgets', widget))
+      offerUndo('Widget deleted', 'widgets', widget)
+    } catch (e) {
+      setActionError(`Widget not deleted: ${e.message}`)
+    }
+  }
+
+  const updatePost = async () => {
+    if (!store || !editingPost) return
+    if (!editingPost.content.trim()) return
+    const data = { content: editingPost.content.trim(), tags: extractTags(editingPost.content) }
+    const { before } = editingPost
+    try {
+      await store.batch([
+        ...(sameSnapshot('feed_posts', before, { ...before, ...data }) ? [] : [revisionOp(store, 'feed_posts', before, 'edit')]),
+        { type: 'update', path: 'feed_posts', id: before.id, data: { ...data, editedAt: store.now() } },
+      ])
+    } catch (e) {
+      return postEditFailed(e)
+    }
+    setEditingPost(null)
+  }
+
+  // Resolves to whether the post went, so callers only move on after a delete that happened
+  const deletePost = async (post) => {
+    if (!store) return false
+    try {
+      await store.batch([...refDeleteOps(post), ...trashOps(store, 'feed_posts', post)])
+    } catch (e) {
+      setActionError(`Post not deleted: ${e.message}`)
+      return false
+    }
+    offerUndo(post.pageIds?.length > 1 ? `Post deleted from ${post.pageIds.length} pages` : 'Post deleted', 'feed_posts', post)
+    return true
+  }
+
+  // The current version is kept as a revision too, so a restore can itself be undone
+  const restoreRevision = (path, doc, data) => store.batch([
+    revisionOp(store, path, doc, 'restore'),
+    { type: 'update', path, id: doc.id, data: { ...data, [path === 'widgets' ? 'updatedAt' : 'editedAt']: store.now() } },
+  ])
+
+  const restoreFromTrash = (item) => store.batch([
+    revisionOp(store, item.trashedFrom, item, 'untrash'),
+    ...restoreOps(item, new Set(pages.map(p => p.id)), widgets),
+  ]).catch(e => setActionError(`Not restored: ${e.message}`))
+
+  // Only now do the item's subcollections and files go
+  const purgeOps = async (item) => [
+    ...(item.trashedFrom === 'widgets' ? await widgetChildrenOps(store, item) : await postChildrenOps(store, item.id)),
+    ...await revisionDeleteOps(store, item.trashedFrom, item.id),
+    { type: 'delete', path: 'trash', id: item.id },
+  ]
+
+  const purgeTrash = async (items) => {
+    if (!store || !items.length) return
+    await store.batch((await Promise.all(items.map(purgeOps))).flat())
+    await deleteAttachments(items)
+  }
+
+  const setTrashDays = (page, days) => store.update('niche_pages', page.id, { trashDays: days })
+
+  // With no server, the owner's client empties each page's trash as items outlive its keep period
+  const expiredTrash = useMemo(() => {
+    const now = new Date()
+    const days = new Map(pages.map(p => [p.id, p.trashDays || DEFAULT_TRASH_DAYS]))
+    return trash.filter(t => days.has(t.pageId) && trashExpiresAt(t, days.get(t.pageId)) <= now)
+  }, [trash, pages])
+  useEffect(() => {
+    if (expiredTrash.length) purgeTrash(expiredTrash).catch(() => {})
+  }, [expiredTrash])
+
+  const shareLink = (code) => `${window.location.origin}${pageUrl(user.uid, editingPage.id)}${code ? `?invite=${code}` : ''}`
+
+  const changeAccess = (patch) => store.batch([accessOp(store, editingPage.id, patch)])
+
+  const addGrantee = (uid) => changeAccess({ sharedWith: store.arrayUnion(uid) })
+
+  const removeGrantee = (uid) => changeAccess({ sharedWith: store.arrayRemove(uid) })
+
+  const createInvite = () => changeAccess({ inviteCodes: store.arrayUnion(makeInviteCode()) })
+
+  const removeMember = (member) => store.remove(`niche_pages/${editingPage.id}/members`, member.id)
+
+  // Revoking a code also removes everyone who joined with it
+  const revokeInvite = async (code) => {
+    const membersPath = `niche_pages/${editingPage.id}/members`
+    await store.batch([
+      ...pageMembers.filter(m => m.code === code).map(m => ({ type: 'delete', path: membersPath, id: m.id })),
+      accessOp(store, editingPage.id, { inviteCodes: store.arrayRemove(code) }),
+    ])
+  }
+
+  // Moves everything saved offline, trash and history included, into the connected Firestore account
+  const migrateLocalData = async () => {
+    if (!store || store.kind !== 'firebase') return
+    const hasDefault = pages.some(p => p.isDefault)
+    await migrateStore(localStore, store, (path, data) => ({
+      ...data,
+      userId: user.uid,
+      ...(path === 'niche_pages' && hasDefault ? { isDefault: false } : {}),
+    }))
+    await clearStore(localStore)
+    setLocalPageCount(0)
+  }
+
+  // Keyboard moves across panels remount the card, so hand focus back to its grip
+  useEffect(() => {
+    if (!focusWidgetId) return
+    document.querySelector(`[data-widget-grip="${focusWidgetId}"]`)?.focus()
+    setFocusWidgetId(null)
+  }, [widgets, focusWidgetId])
+
+  const exportProfile = async () => {
+    if (!store) return
+    const archive = await buildArchive(store)
+    downloadText(`selphi-export-${archive.exportedAt.slice(0, 10)}.json`, JSON.stringify(archive, null, 2), 'application/json')
+  }
+
+  const readImportFile = async (file) => {
+    if (!file) return
+    let archive = null
+    let errors
+    try {
+      archive = JSON.parse(await file.text())
+      errors = validateArchive(archive)
+    } catch (e) {
+      errors = [`Could not read the file: ${e.message}`]
+    }
+    setImportState({ fileName: file.name, archive, errors, duplicates: 'rename' })
+  }
+
+  const importPlan = useMemo(() => (
+    importState && !importState.errors.length && store
+      ? planImport(importState.archive, { existingPages: pages, userId: user.uid, newId: store.newId, duplicates: importState.duplicates })
+      : null
+  ), [importState, store, pages, user])
+
+  const runImport = async () => {
+    if (!store || !importPlan) return
+    setImporting(true)
+    try {
+      await store.batch(importPlan.ops)
+      setImportState(null)
+    } catch (e) {
+      setImportState(st => ({ ...st, errors: [`Import failed: ${e.message}`] }))
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const askConfirm = (title, message, action, confirmLabel) => setConfirm({
+    title,
+    message,
+    confirmLabel,
+    onConfirm: async () => { await action(); setConfirm(null) },
+  })
+
+  // Firebase can only attach emulators before first use, so switching takes a reload
+  const toggleEmulators = (on) => {
+    window.localStorage.setItem(SETTINGS_KEYS.emulators, JSON.stringify(on))
+    window.location.reload()
+  }
+
+  // The live settings are saved into the current profile before the next one's are loaded;
+  // the init effect then deletes the old Firebase app and starts one under the new profile's name
+  const switchProfile = (id, list = allProfiles) => {
+    const next = list.find(p => p.id === id)
+    if (!next) return
+    setProfiles(list)
+    if (id === activeProfileId) return
+    setActiveProfileId(id)
+    setFirebaseConfigRaw(next.config)
+    setCustomToken(next.token)
+    setAppId(next.appId)
+    setPages([]); setWidgets([]); setTemplates([]); setFollows([]); setTrash([])
+    setProfileMessage(null)
+    navigate('/')
+  }
+
+  const addProfile = () => {
+    const profile = createProfile(allProfiles)
+    switchProfile(profile.id, [...allProfiles, profile])
+  }
+
+  const renameProfile = (name) => setProfiles(allProfiles.map(p => (p.id === activeProfileId ? { ...p, name } : p)))
+
+  const deleteProfile = () => askConfirm(
+    `Delete "${activeProfile.name || 'Untitled'}"?`,
+    'Its config, token and App ID are removed from this browser. Data already in Firebase is not touched.',
+    async () => {
+      const rest = allProfiles.filter(p => p.id !== activeProfileId)
+      switchProfile(rest[0].id, rest)
+    },
+  )
+
+  const exportProfilesFile = () => {
+    const data = exportProfiles(allProfiles, { tokens: exportTokens })
+    downloadText(`selphi-profiles-${data.exportedAt.slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json')
+  }
+
+  const readProfilesFile = async (file) => {
+    if (!file) return
+    let result
+    try {
+      result = parseProfiles(JSON.parse(await file.text()), allProfiles)
+    } catch (e) {
+      result = { profiles: [], errors: [`Could not read the file: ${e.message}`] }
+    }
+    if (result.profiles.length) setProfiles([...allProfiles, ...result.profiles])
+    setProfileMessage([
+      `Imported ${result.profiles.length} ${result.profiles.length === 1 ? 'profile' : 'profiles'}.`,
+      ...result.errors.map(e => `Skipped ${e}.`),
+    ].join(' '))
+  }
+
+  const onAccountChange = (u) => {
+    setAccount(describeAccount(u))
+    if (finishingLink) { setFinishingLink(false); navigate(window.location.pathname, { replace: true }) }
+  }
+
+  // Signing out drops back to a fresh guest; the custom token is cleared so it does not sign straight back in
+  const signOutUser = () => askConfirm(
+    'Sign out?',
+    account?.isAnonymous ? 'This is a guest account. Its pages cannot be recovered after signing out unless you save the account first.' : 'You can sign back in with your email at any time.',
+    async () => {
+      setCustomToken('')
+      await signOutAccount(auth)
+      setShowAccount(false)
+      navigate('/', { replace: true })
+    },
+    'Sign out',
+  )
+
+  // Reactions/comments run against whichever store the feed is read from
+  // What widget renderers and editors may use
+  const widgetCtx = {
+    store: feedStore,
+    ownerUid: readOnly ? sharedTarget.ownerUid : user?.uid,
+    viewer: user,
+    storeFor,
+    pages,
+    onTag: searchTag,
+  }
+
+  const engagement = feedStore ? {
+    store: feedStore,
+    ownerUid: readOnly ? sharedTarget.ownerUid : user?.uid,
+    viewer: user,
+    isOwner: !readOnly,
+    confirm: askConfirm,
+  } : null
+
   // Render helpers
-  const WidgetCard = ({ w }) => {
-    const iconMap = { link: LinkIcon, image: ImageIcon, text: TextIcon, social_embed: Share2 }
-    const Icon = iconMap[w.type] || TextIcon
+  const renderPanel = (panel, list) => {
+    const dropHere = drag && drag.panel === panel
+    const dropAbove = 'shadow-[0_-3px_0_0_rgb(var(--accent-400))]'
+    const dropBelow = 'shadow-[0_3px_0_0_rgb(var(--accent-400))]'
     return (
-      <div className="bg-white/5 border border-white/10 rounded-xl p-3 text-sm text-gray-100">
-        <div className="flex items-center gap-2 mb-2 opacity-80">
-          <Icon size={14} />
-          <span className="uppercase tracking-wide text-[10px]">{w.type}</span>
-        </div>
-        {w.type === 'image' ? (
-          <img src={w.content} alt="widget" className="rounded-lg w-full object-cover" />
-        ) : (
-          <p className="break-words text-gray-200 text-sm leading-relaxed">{w.content}</p>
-        )}
+      <div
+        className={cls('space-y-2 rounded-lg', drag && 'min-h-[3rem]', dropHere && list.length === 0 && 'ring-2 ring-indigo-400/60')}
+        onDragOver={e => {
+          if (!drag) return
+          e.preventDefault()
+          if (e.target === e.currentTarget) setDrag(d => ({ ...d, panel, slot: list.length }))
+        }}
+        onDrop={e => {
+          e.preventDefault()
+          if (drag) moveWidget(drag.id, drag.panel, drag.slot)
+          setDrag(null)
+        }}
+      >
+        {list.length === 0 ? (
+          <div className="text-xs text-gray-500">{drag ? 'Drop here' : 'No widgets yet.'}</div>
+        ) : list.map((w, i) => (
+          <div
+            key={w.id}
+            draggable={!readOnly}
+            onDragStart={e => { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', w.id); setDrag({ id: w.id, panel, slot: i }) }}
+            onDragOver={e => {
+              if (!drag) return
+              e.preventDefault()
+              e.stopPropagation()
+              const r = e.currentTarget.getBoundingClientRect()
+              const slot = e.clientY < r.top + r.height / 2 ? i : i + 1
+              if (drag.panel !== panel || drag.slot !== slot) setDrag(d => ({ ...d, panel, slot }))
+            }}
+            onDragEnd={() => setDrag(null)}
+            className={cls('rounded-xl', drag?.id === w.id && 'opacity-40', dropHere && drag.slot === i && dropAbove, dropHere && drag.slot === list.length && i === list.length - 1 && dropBelow)}
+          >
+            <WidgetCard
+              w={w}
+              readOnly={readOnly}
+              pending={!readOnly && pendingIds.has(w.id)}
+              onEdit={() => setEditingWidget({ id: w.id, type: w.type, content: w.content, before: w })}
+              onHistory={() => setHistoryOf({ path: 'widgets', doc: w })}
+              onDelete={() => deleteWidget(w)}
+              onMoveKey={e => onWidgetKey(e, w, panel, i, list)}
+              ctx={widgetCtx}
+            />
+          </div>
+        ))}
       </div>
     )
   }
 
-  const FeedCard = ({ p }) => (
-    <div className="bg-white/5 border border-white/10 rounded-xl p-4">
-      <div className="text-xs text-gray-400 mb-1">{new Date(p?.timestamp?.toDate?.() || Date.now()).toLocaleString()}</div>
-      <div className="text-gray-100 whitespace-pre-wrap leading-relaxed">{p.content}</div>
-    </div>
-  )
+  if (feedFormat) {
+    return (
+      <FeedView
+        page={activePage}
+        posts={liveFeed}
+        loading={feedLoading || (readOnly && !sharedReady)}
+        error={readOnly ? sharedError : null}
+        ownerUid={readOnly ? sharedTarget.ownerUid : user?.uid}
+        format={feedFormat}
+      />
+    )
+  }
 
   return (
-    <div className="min-h-screen bg-gray-950 text-gray-100">
+    <div className="min-h-screen bg-gray-950 text-gray-100" style={themeStyle(theme)}>
       {/* Header / Hero */}
       <header className="relative h-56 md:h-64 lg:h-72 overflow-hidden">
-        <div className="absolute inset-0">
-          <Spline scene="https://prod.spline.design/qQUip0dJPqrrPryE/scene.splinecode" style={{ width: '100%', height: '100%' }} />
-        </div>
+        <Hero hero={theme.hero} />
         <div className="absolute inset-0 bg-gradient-to-b from-gray-950/10 via-gray-950/40 to-gray-950/90 pointer-events-none" />
         <div className="relative z-10 h-full max-w-7xl mx-auto px-4 flex items-end pb-4">
           <div className="flex-1">
@@ -248,6 +1651,28 @@ export default function Selphi() {
             <p className="text-sm text-gray-400">Real-time, multi-faceted social hub</p>
           </div>
           <div className="flex items-center gap-2">
+            {store && (
+              <NotificationsMenu
+                items={notifications.items}
+                loaded={notifications.loaded}
+                unread={notifications.unread}
+                pageNames={pageNames}
+                onOpen={n => openOwnPage(n.pageId, n.postId)}
+                onMarkRead={notifications.markRead}
+                onMarkAllRead={notifications.markAllRead}
+                onRemove={notifications.remove}
+              />
+            )}
+            {auth && (
+              <button onClick={() => setShowAccount(true)} title={account?.uid} className={cls('inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg max-w-[12rem]', account?.isAnonymous ? 'bg-amber-500/15 text-amber-200 hover:bg-amber-500/25' : 'bg-white/10 hover:bg-white/15')}>
+                <UserRound size={14} className="shrink-0" /> <span className="truncate">{!account ? 'Sign in' : account.isAnonymous ? 'Guest · save account' : account.email || 'Account'}</span>
+              </button>
+            )}
+            {allProfiles.length > 1 && (
+              <select value={activeProfileId} onChange={e => switchProfile(e.target.value)} title="Switch profile" aria-label="Profile" className="max-w-[10rem] px-2 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 border-0">
+                {allProfiles.map(p => <option key={p.id} value={p.id} className="bg-gray-900">{p.name || 'Untitled'}</option>)}
+              </select>
+            )}
             <button onClick={() => setShowSettings(true)} className="px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15">Settings</button>
             <button onClick={() => setShowPageModal(true)} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-indigo-600 hover:bg-indigo-500">
               <Plus size={14} /> New Niche Page
@@ -273,9 +1698,9 @@ export default function Selphi() {
               ) : (
                 <div className="max-h-64 overflow-auto p-1">
                   {pages.map(p => (
-                    <button key={p.id} onClick={() => setActivePageId(p.id)} className={cls('w-full text-left px-3 py-2 rounded-lg hover:bg-white/5', activePageId === p.id && 'bg-white/10') }>
+                    <button key={p.id} onClick={() => openOwnPage(p.id)} className={cls('w-full text-left px-3 py-2 rounded-lg hover:bg-white/5', viewPageId === p.id && 'bg-white/10') }>
                       <div className="flex items-center justify-between">
-                        <span className="text-sm">{p.name}</span>
+                        <span className="text-sm">{p.name}{pendingIds.has(p.id) && <Clock size={11} className="inline ml-1.5 text-gray-500" />}</span>
                         <PrivacyBadge level={p.privacyLevel} />
                       </div>
                     </button>
@@ -284,6 +1709,64 @@ export default function Selphi() {
               )}
             </div>
           </div>
+          {activePage && !readOnly && (
+            <>
+              <button onClick={() => setEditingPage({ id: activePage.id, name: activePage.name, privacyLevel: activePage.privacyLevel, isDefault: !!activePage.isDefault, theme: normalizeTheme(activePage.theme) })} title="Page settings" className="p-1.5 rounded-lg bg-white/10 hover:bg-white/15"><Settings2 size={14} /></button>
+              <button onClick={() => setShowTrash(true)} title="Trash" className="inline-flex items-center gap-1 p-1.5 rounded-lg bg-white/10 hover:bg-white/15 text-xs"><Trash2 size={14} />{pageTrash.length > 0 && pageTrash.length}</button>
+            </>
+          )}
+        </div>
+
+        {store?.kind === 'firebase' && (
+          <button onClick={() => navigate(followingView ? '/' : '/following')} aria-pressed={followingView} className={cls('inline-flex items-center gap-1.5 text-sm px-3 py-2 rounded-xl border', followingView ? 'bg-indigo-500/20 border-indigo-500/40 text-indigo-200' : 'bg-white/5 border-white/10 hover:bg-white/10')}>
+            <Users size={14} /> Following
+          </button>
+        )}
+
+        {readOnly && (
+          <div className="inline-flex items-center gap-2 text-xs bg-indigo-500/10 border border-indigo-500/30 text-indigo-300 rounded-xl px-3 py-2">
+            <Eye size={14} /> {sharedError || (sharedPage ? 'Shared page · read-only' : 'Loading shared page…')}
+          </div>
+        )}
+        {readOnly && sharedPage?.privacyLevel === 'public' && store?.kind === 'firebase' && (
+          <button onClick={toggleFollow} className={cls('inline-flex items-center gap-1.5 text-xs px-3 py-2 rounded-xl', follow ? 'bg-white/10 hover:bg-white/15' : 'bg-indigo-600 hover:bg-indigo-500')}>
+            {follow ? <><Check size={14} /> Following</> : <><UserPlus size={14} /> Follow</>}
+          </button>
+        )}
+        {!followingView && activePage?.privacyLevel === 'public' && (
+          <FeedMenu page={activePage} posts={liveFeed} ownerUid={readOnly ? sharedTarget.ownerUid : user?.uid} />
+        )}
+
+        <div className="relative flex-1 min-w-[12rem] max-w-sm">
+          <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500 pointer-events-none" />
+          <input
+            value={searchQuery}
+            onChange={e=>{ setSearchQuery(e.target.value); setSearchOpen(true) }}
+            onFocus={()=>setSearchOpen(true)}
+            onKeyDown={e=>{ if (e.key === 'Escape') { setSearchOpen(false); e.target.blur() } else if (e.key === 'Enter' && searchResults[0]) openResult(searchResults[0]) }}
+            placeholder={readOnly ? 'Search this page… #tag to filter' : 'Search pages, widgets, posts… #tag to filter'}
+            className="w-full bg-white/5 border border-white/10 rounded-xl pl-8 pr-3 py-2 text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          {searchOpen && searchQuery.trim() && (
+            <>
+              <div className="fixed inset-0 z-30" onClick={()=>setSearchOpen(false)} />
+              <div className="absolute z-40 mt-2 w-full min-w-[18rem] max-h-96 overflow-auto bg-gray-900/95 border border-white/10 rounded-xl shadow-xl backdrop-blur-sm p-1">
+                {searchResults.length === 0 ? (
+                  <div className="p-3 text-xs text-gray-400">No matches.</div>
+                ) : searchResults.map(r => {
+                  const Icon = r.kind === 'page' ? FileText : r.kind === 'widget' ? (widgetTypes[r.title]?.icon || Puzzle) : Hash
+                  return (
+                    <button key={`${r.kind}:${r.id}`} onClick={() => openResult(r)} className="w-full text-left px-3 py-2 rounded-lg hover:bg-white/5">
+                      <div className="flex items-center gap-2 text-[10px] uppercase tracking-wide text-gray-500">
+                        <Icon size={11} /> {r.kind}{r.kind !== 'page' && ` · ${r.pageName}`}
+                      </div>
+                      <div className="text-sm text-gray-200 truncate">{r.kind === 'page' ? r.title : r.snippet}</div>
+                    </button>
+                  )
+                })}
+              </div>
+            </>
+          )}
         </div>
 
         <div className="ml-auto flex items-center gap-2 md:hidden">
@@ -291,9 +1774,18 @@ export default function Selphi() {
           <button onClick={() => setMobileRightOpen(v => !v)} className="px-3 py-2 rounded-lg bg-white/10"><Menu size={16} /></button>
         </div>
 
-        <div className="text-xs text-gray-400">{status}{user && ` · ${user.uid.slice(0,6)}…`}{appId && ` · app ${appId}`}</div>
+        <SyncIndicator
+          connection={connection}
+          entries={queueEntries}
+          online={online}
+          details={firebaseConfig && [appId && `App ${appId}`, useEmulators && 'Emulators'].filter(Boolean).join(' · ')}
+          onRetry={id => queue.retry(id)}
+          onDiscard={id => queue.discard(id)}
+        />
       </div>
 
+      <div aria-live="polite" className="sr-only">{layoutAnnouncement}</div>
+
       {/* Main layout */}
       <div className="max-w-7xl mx-auto px-4 pb-10 grid grid-cols-1 md:grid-cols-4 lg:grid-cols-6 gap-4">
         {/* Left Panel */}
@@ -301,29 +1793,137 @@ export default function Selphi() {
           <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3">
             <div className="flex items-center justify-between mb-2">
               <h3 className="text-sm font-medium">Left Panel</h3>
-              <button onClick={() => setShowLeftWidgetModal(true)} className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500"><Plus size={12}/> Add Widget</button>
-            </div>
-            <div className="space-y-2">
-              {leftWidgets.length === 0 ? (
-                <div className="text-xs text-gray-500">No widgets yet.</div>
-              ) : leftWidgets.map(w => <WidgetCard key={w.id} w={w} />)}
+              {!readOnly && <button onClick={() => setShowLeftWidgetModal(true)} className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500"><Plus size={12}/> Add Widget</button>}
             </div>
+            {renderPanel('left', leftWidgets)}
           </div>
         </aside>
 
         {/* Center Feed */}
         <main className="md:col-span-2 lg:col-span-2 space-y-3">
-          <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3">
-            <div className="flex items-center gap-2">
-              <input value={newPost} onChange={e=>setNewPost(e.target.value)} placeholder={activePage ? `Post to ${activePage.name}…` : 'Create a page to start posting…'} className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-              <button onClick={createPost} disabled={!activePageId} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed">Post</button>
-            </div>
-          </div>
-          <div className="space-y-3">
-            {pageFeed.length === 0 ? (
-              <div className="text-xs text-gray-500 text-center py-8 bg-gray-900/50 border border-white/10 rounded-xl">No posts yet.</div>
-            ) : pageFeed.map(p => <FeedCard key={p.id} p={p} />)}
-          </div>
+          {followingView ? (
+            <FollowingFeed
+              storeFor={storeFor}
+              follows={follows}
+              viewer={user}
+              onMute={toggleMute}
+              onUnfollow={(f) => askConfirm('Unfollow?', `Posts from ${f.pageName} will leave your Following timeline.`, () => unfollow(f), 'Unfollow')}
+              onTag={openFollowedTag}
+              confirm={askConfirm}
+            />
+          ) : <>
+            {!readOnly && <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3">
+              <textarea
+                value={newPost}
+                onChange={e=>setNewPost(e.target.value)}
+                onKeyDown={e=>{ if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) createPost() }}
+                onPaste={e=>addAttachments(e.clipboardData?.files)}
+                rows={3}
+                placeholder={activePage ? `Post to ${activePage.name}… Markdown supported` : 'Create a page to start posting…'}
+                className="w-full resize-y bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              {newAttachments.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {newAttachments.map((a, i) => (
+                    <div key={a.previewUrl} className="relative">
+                      <img src={a.previewUrl} alt={a.file?.name || a.uploaded?.name || ''} className="h-16 w-16 rounded-lg object-cover" />
+                      <button onClick={() => removeAttachment(i)} title="Remove image" className="absolute -top-1.5 -right-1.5 p-0.5 rounded-full bg-gray-900 border border-white/20 hover:text-red-400"><X size={12}/></button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div className="flex items-center gap-2 mt-2">
+                <label title="Attach images" className={cls('p-2 rounded-lg bg-white/5 hover:bg-white/10 cursor-pointer', newAttachments.length >= 4 && 'opacity-50 pointer-events-none')}>
+                  <ImagePlus size={16} />
+                  <input type="file" accept="image/*" multiple className="hidden" onChange={e=>{ addAttachments(e.target.files); e.target.value = '' }} />
+                </label>
+                <button onClick={() => { setShowSchedule(v => !v); setScheduleAt('') }} title="Schedule for later" aria-pressed={showSchedule} className={cls('p-2 rounded-lg hover:bg-white/10', showSchedule ? 'bg-indigo-500/20 text-indigo-200' : 'bg-white/5')}><CalendarClock size={16} /></button>
+                {pages.length > 1 && <button onClick={() => { setShowCrossPost(v => !v); setCrossPostIds([]) }} title="Also post to other pages" aria-pressed={showCrossPost} className={cls('p-2 rounded-lg hover:bg-white/10', showCrossPost ? 'bg-indigo-500/20 text-indigo-200' : 'bg-white/5')}><Layers size={16} /></button>}
+                <span className="text-[10px] text-gray-500">{draftId ? <>Editing a draft · <button onClick={resetComposer} className="underline hover:text-gray-300">close</button></> : 'Ctrl+Enter to post'}</span>
+                {postError && <span className="text-[11px] text-red-400">{postError}</span>}
+                <button onClick={saveDraft} disabled={!activePageId || posting || (!newPost.trim() && newAttachments.length === 0)} className="ml-auto px-3 py-2 rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50 disabled:cursor-not-allowed">Save draft</button>
+                <button onClick={createPost} disabled={!activePageId || posting || (!newPost.trim() && newAttachments.length === 0) || (showSchedule && !scheduleAt)} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed">{posting ? 'Saving…' : scheduleAt ? 'Schedule' : 'Post'}</button>
+              </div>
+              {showSchedule && (
+                <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-400">
+                  <label htmlFor="schedule-at">Publish at</label>
+                  <input id="schedule-at" type="datetime-local" value={scheduleAt} min={toLocalInput(new Date())} onChange={e=>setScheduleAt(e.target.value)} className="bg-white/5 border border-white/10 rounded-lg px-2 py-1 text-gray-200 [color-scheme:dark]" />
+                  <span>{Intl.DateTimeFormat().resolvedOptions().timeZone}</span>
+                  {scheduleAt && <span className="text-gray-500">· {formatWhen(fromLocalInput(scheduleAt))}</span>}
+                </div>
+              )}
+              {showCrossPost && (
+                <div className="flex flex-wrap items-center gap-1 mt-2 text-xs text-gray-400">
+                  <span className="mr-1">Also post to</span>
+                  {pages.filter(p => p.id !== activePageId).map(p => {
+                    const on = crossPostIds.includes(p.id)
+                    const full = !on && crossPostTargets.length >= MAX_CROSS_POST_PAGES - 1
+                    return (
+                      <button key={p.id} onClick={() => setCrossPostIds(ids => on ? ids.filter(id => id !== p.id) : [...ids, p.id])} disabled={full} aria-pressed={on} title={`${p.name} (${p.privacyLevel})`} className={cls('inline-flex items-center gap-1 px-2 py-0.5 rounded-full disabled:opacity-40', on ? 'bg-indigo-500/30 text-indigo-100' : 'bg-white/5 hover:bg-white/10')}>
+                        {on && <Check size={11} />}{p.name}{p.privacyLevel === 'public' && <Globe size={10} className="text-green-400" />}
+                      </button>
+                    )
+                  })}
+                  {crossPostTargets.length >= MAX_CROSS_POST_PAGES - 1 && <span className="text-gray-500">· up to {MAX_CROSS_POST_PAGES} pages per post</span>}
+                </div>
+              )}
+            </div>}
+            {!readOnly && (
+              <PostQueue
+                drafts={sortedDrafts}
+                scheduled={upcomingPosts}
+                activeDraftId={draftId}
+                onEditDraft={openDraft}
+                onDeleteDraft={d => askConfirm('Delete draft?', 'This draft will be permanently removed.', () => deleteDraft(d))}
+                onEditPost={p => setEditingPost({ id: p.id, content: p.content, before: p })}
+                onPublishNow={publishNow}
+                onReschedule={reschedule}
+                onUnschedule={unschedule}
+                onDeletePost={deletePost}
+              />
+            )}
+            {focusedPost && (focusedPost.pageId === viewPageId || focusedPost.pageIds?.includes(viewPageId)) && (isLive(focusedPost, now) || !readOnly) && (
+              <div className="rounded-xl ring-2 ring-indigo-500/60">
+                <div className="flex items-center justify-between px-3 py-1.5 text-xs text-indigo-300">
+                  <span>Linked post</span>
+                  <button onClick={clearFocusedPost} title="Close" className="p-1 rounded hover:bg-white/10"><X size={12}/></button>
+                </div>
+                <FeedCard
+                  p={focusedPost}
+                  readOnly={readOnly}
+                  alsoOn={alsoOn(focusedPost)}
+                  onEdit={() => setEditingPost({ id: focusedPost.id, content: focusedPost.content, before: focusedPost })}
+                  onHistory={() => setHistoryOf({ path: 'feed_posts', doc: focusedPost })}
+                  onDelete={() => deletePost(focusedPost).then(ok => ok && clearFocusedPost())}
+                  onTag={searchTag}
+                  engagement={engagement}
+                />
+              </div>
+            )}
+            {liveFeed.length === 0 ? (
+              <div className="text-xs text-gray-500 text-center py-8 bg-gray-900/50 border border-white/10 rounded-xl">{feedLoading ? 'Loading posts…' : 'No posts yet.'}</div>
+            ) : (
+              <VirtualFeed
+                posts={liveFeed}
+                loading={feedLoading}
+                hasMore={feedHasMore}
+                onLoadMore={loadMoreFeed}
+                renderPost={p => (
+                  <FeedCard
+                    p={p}
+                    readOnly={readOnly}
+                    pending={!readOnly && pendingIds.has(p.id)}
+                    alsoOn={alsoOn(p)}
+                    onEdit={() => setEditingPost({ id: p.id, content: p.content, before: p })}
+                    onHistory={() => setHistoryOf({ path: 'feed_posts', doc: p })}
+                    onDelete={() => deletePost(p)}
+                    onTag={searchTag}
+                    engagement={engagement}
+                  />
+                )}
+              />
+            )}
+          </>}
         </main>
 
         {/* Right Panel */}
@@ -331,13 +1931,9 @@ export default function Selphi() {
           <div className="bg-gray-900/70 border border-white/10 rounded-xl p-3">
             <div className="flex items-center justify-between mb-2">
               <h3 className="text-sm font-medium">Right Panel</h3>
-              <button onClick={() => setShowRightWidgetModal(true)} className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500"><Plus size={12}/> Add Widget</button>
-            </div>
-            <div className="space-y-2">
-              {rightWidgets.length === 0 ? (
-                <div className="text-xs text-gray-500">No widgets yet.</div>
-              ) : rightWidgets.map(w => <WidgetCard key={w.id} w={w} />)}
+              {!readOnly && <button onClick={() => setShowRightWidgetModal(true)} className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-500"><Plus size={12}/> Add Widget</button>}
             </div>
+            {renderPanel('right', rightWidgets)}
           </div>
         </aside>
       </div>
@@ -363,9 +1959,10 @@ export default function Selphi() {
                   <option value="custom">Custom (share list)</option>
                 </select>
               </div>
+              <TemplatePicker templates={templates} selected={newPage.templateId} onPick={pickTemplate} onDelete={(t) => askConfirm('Delete template?', `"${t.name}" will no longer be offered for new pages.`, () => deleteTemplate(t))} />
               <div className="flex justify-end gap-2 pt-2">
                 <button onClick={()=>setShowPageModal(false)} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
-                <button onClick={createPage} disabled={!user || !appId} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Create</button>
+                <button onClick={createPage} disabled={!queue} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Create</button>
               </div>
             </div>
           </div>
@@ -384,29 +1981,232 @@ export default function Selphi() {
               <div>
                 <label className="text-xs text-gray-400">Type</label>
                 <select value={newWidget.type} onChange={e=>setNewWidget(w=>({...w, type: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm">
-                  <option value="link">Link</option>
-                  <option value="image">Image URL</option>
-                  <option value="text">Text</option>
-                  <option value="social_embed">Social Embed</option>
+                  {Object.entries(widgetTypes).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
                 </select>
               </div>
               <div>
                 <label className="text-xs text-gray-400">Content</label>
-                <textarea value={newWidget.content} onChange={e=>setNewWidget(w=>({...w, content: e.target.value}))} rows={3} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
+                <WidgetEditor type={newWidget.type} value={newWidget.content} onChange={content=>setNewWidget(w=>({...w, content}))} ctx={widgetCtx} />
+                {newWidget.content.trim() && widgetError(newWidget.type, newWidget.content) && <p className="text-[11px] text-red-400 mt-1">{widgetError(newWidget.type, newWidget.content)}</p>}
+              </div>
+              <div className="flex justify-end gap-2 pt-2">
+                <button onClick={()=>{ setShowLeftWidgetModal(false); setShowRightWidgetModal(false)}} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+                <button onClick={()=>createWidget(showLeftWidgetModal ? 'left' : 'right')} disabled={!queue || !activePageId || !!widgetError(newWidget.type, newWidget.content)} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Add</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Page Modal */}
+      {editingPage && (
+        <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+          <div className="w-full max-w-md bg-gray-900 border border-white/10 rounded-2xl p-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-medium">Edit Niche Page</h3>
+              <button onClick={()=>setEditingPage(null)} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+            </div>
+            <div className="space-y-3">
+              <div>
+                <label className="text-xs text-gray-400">Name</label>
+                <input value={editingPage.name} onChange={e=>setEditingPage(p=>({...p, name: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
+              </div>
+              <div>
+                <label className="text-xs text-gray-400">Privacy</label>
+                <select value={editingPage.privacyLevel} onChange={e=>setEditingPage(p=>({...p, privacyLevel: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm">
+                  <option value="public">Public</option>
+                  <option value="private">Private</option>
+                  <option value="custom">Custom (share list)</option>
+                </select>
+              </div>
+              {editingPage.privacyLevel !== 'private' && store?.kind === 'local' && (
+                <div className="text-xs text-gray-500">Sharing needs a Firebase connection. Add one in Settings and migrate your local data.</div>
+              )}
+              {editingPage.privacyLevel !== 'private' && store?.kind === 'firebase' && (
+                <div>
+                  <label className="text-xs text-gray-400">Page link</label>
+                  <input readOnly value={shareLink()} onFocus={e=>e.target.select()} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-xs font-mono text-gray-300" />
+                </div>
+              )}
+              {editingPage.privacyLevel === 'custom' && store?.kind === 'firebase' && editingPageLive && (
+                <SharePanel
+                  access={pageAccess}
+                  members={pageMembers}
+                  shareLink={shareLink}
+                  onAddUid={addGrantee}
+                  onRemoveUid={(uid) => askConfirm('Remove access?', `${uid} will no longer be able to view this page.`, () => removeGrantee(uid))}
+                  onCreateInvite={createInvite}
+                  onRevokeInvite={(code) => askConfirm('Revoke invite?', `Invite ${code} will stop working and everyone who joined with it loses access.`, () => revokeInvite(code))}
+                  onRemoveMember={(m) => askConfirm('Remove access?', `${m.id} will no longer be able to view this page.`, () => removeMember(m))}
+                />
+              )}
+              <ThemeEditor theme={editingPage.theme} onChange={theme => setEditingPage(p => ({ ...p, theme }))} />
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-400">{editingPage.isDefault ? 'This is your default page.' : 'Open this page first on load.'}</span>
+                {!editingPage.isDefault && (
+                  <button onClick={()=>setDefaultPage(editingPage.id).then(()=>setEditingPage(p=>p && ({...p, isDefault: true, error: null})), pageEditFailed)} className="px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15">Make default</button>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <button onClick={()=>saveTemplate(pages.find(p => p.id === editingPage.id)).then(()=>setEditingPage(p=>p && ({...p, templateSaved: true, error: null})), pageEditFailed)} disabled={editingPage.templateSaved} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50"><LayoutTemplate size={12}/> {editingPage.templateSaved ? 'Saved as template' : 'Save as template'}</button>
+                <button onClick={()=>duplicatePage(pages.find(p => p.id === editingPage.id), editingPage.copyPosts)} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15"><CopyPlus size={12}/> Duplicate</button>
+                <label className="inline-flex items-center gap-1.5 text-xs text-gray-400">
+                  <input type="checkbox" checked={!!editingPage.copyPosts} onChange={e=>setEditingPage(p=>({...p, copyPosts: e.target.checked}))} /> with posts
+                </label>
+                <button onClick={()=>exportSite(pages.find(p => p.id === editingPage.id))} disabled={editingPage.exporting} title="Download the page as a static website (zip)" className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50"><Download size={12}/> {editingPage.exporting ? 'Exporting…' : 'Export website'}</button>
+                {editingPage.exportError && <p className="w-full text-[11px] text-red-400">{editingPage.exportError}</p>}
+              </div>
+              {editingPage.error && <p role="alert" className="text-xs text-red-400">{editingPage.error}</p>}
+              <div className="flex justify-between gap-2 pt-2">
+                <button onClick={()=>askConfirm('Delete page?', `"${editingPage.name}" and all of its widgets and posts will be permanently deleted.`, () => deletePage(pages.find(p => p.id === editingPage.id)))} className="inline-flex items-center gap-1 px-3 py-2 rounded-lg bg-white/5 text-red-400 hover:bg-red-500/10"><Trash2 size={14}/> Delete</button>
+                <div className="flex gap-2">
+                  <button onClick={()=>setEditingPage(null)} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+                  <button onClick={updatePage} disabled={!editingPage.name.trim() || !themeValid(editingPage.theme)} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Save</button>
+                </div>
               </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Widget Modal */}
+      {editingWidget && (
+        <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+          <div className="w-full max-w-md bg-gray-900 border border-white/10 rounded-2xl p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-medium">Edit Widget</h3>
+              <button onClick={()=>setEditingWidget(null)} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+            </div>
+            <div className="space-y-3">
               <div>
-                <label className="text-xs text-gray-400">Order</label>
-                <input type="number" value={newWidget.order} onChange={e=>setNewWidget(w=>({...w, order: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
+                <label className="text-xs text-gray-400">Type</label>
+                <select value={editingWidget.type} onChange={e=>setEditingWidget(w=>({...w, type: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm">
+                  {!widgetTypes[editingWidget.type] && <option value={editingWidget.type} disabled>{editingWidget.type} (unsupported)</option>}
+                  {Object.entries(widgetTypes).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-gray-400">Content</label>
+                <WidgetEditor type={editingWidget.type} value={editingWidget.content} onChange={content=>setEditingWidget(w=>({...w, content}))} ctx={widgetCtx} />
+                {editingWidget.content.trim() && widgetError(editingWidget.type, editingWidget.content) && <p className="text-[11px] text-red-400 mt-1">{widgetError(editingWidget.type, editingWidget.content)}</p>}
               </div>
+              {editingWidget.error && <p role="alert" className="text-xs text-red-400">{editingWidget.error}</p>}
               <div className="flex justify-end gap-2 pt-2">
-                <button onClick={()=>{ setShowLeftWidgetModal(false); setShowRightWidgetModal(false)}} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
-                <button onClick={()=>createWidget(showLeftWidgetModal ? 'left' : 'right')} disabled={!user || !appId || !activePageId} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Add</button>
+                <button onClick={()=>setEditingWidget(null)} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+                <button onClick={updateWidget} disabled={!!widgetError(editingWidget.type, editingWidget.content)} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Save</button>
               </div>
             </div>
           </div>
         </div>
       )}
 
+      {/* Edit Post Modal */}
+      {editingPost && (
+        <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
+          <div className="w-full max-w-md bg-gray-900 border border-white/10 rounded-2xl p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-medium">Edit Post</h3>
+              <button onClick={()=>setEditingPost(null)} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+            </div>
+            <div className="space-y-3">
+              <textarea value={editingPost.content} onChange={e=>setEditingPost(p=>({...p, content: e.target.value}))} rows={5} className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
+              {editingPost.error && <p role="alert" className="text-xs text-red-400">{editingPost.error}</p>}
+              <div className="flex justify-end gap-2">
+                <button onClick={()=>setEditingPost(null)} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+                <button onClick={updatePost} disabled={!editingPost.content.trim()} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Save</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showAccount && auth && (
+        <AccountModal
+          auth={auth}
+          account={account}
+          finishingLink={finishingLink}
+          initialError={linkError}
+          initialConflict={linkConflict}
+          guestStore={account?.isAnonymous ? store : null}
+          storeFor={storeFor}
+          onChange={onAccountChange}
+          onSignOut={signOutUser}
+          onClose={() => { setShowAccount(false); setFinishingLink(false); setLinkError(null); setLinkConflict(false) }}
+        />
+      )}
+
+      {historyOf && (
+        <HistoryModal
+          store={store}
+          path={historyOf.path}
+          doc={historyOf.doc}
+          onRestore={data => restoreRevision(historyOf.path, historyOf.doc, data)}
+          onClose={() => setHistoryOf(null)}
+        />
+      )}
+
+      {showTrash && activePage && !readOnly && (
+        <TrashModal
+          pageName={activePage.name}
+          items={pageTrash}
+          days={activePage.trashDays || DEFAULT_TRASH_DAYS}
+          onDaysChange={days => setTrashDays(activePage, days)}
+          onRestore={restoreFromTrash}
+          onPurge={items => askConfirm(items.length > 1 ? 'Empty trash?' : 'Delete forever?', items.length > 1 ? `${items.length} items will be permanently removed.` : 'This item will be permanently removed.', () => purgeTrash(items))}
+          onClose={() => setShowTrash(false)}
+        />
+      )}
+
+      {actionError && <ErrorToast key={actionError} message={actionError} onDismiss={() => setActionError(null)} />}
+      {undo && <UndoToast key={undo.key} message={undo.message} onUndo={() => restoreFromTrash(undo.item)} onDismiss={() => setUndo(null)} />}
+
+      {confirm && <ConfirmModal {...confirm} onCancel={() => setConfirm(null)} />}
+
+      {/* Import Review Modal */}
+      {importState && (
+        <div className="fixed inset-0 z-[60] bg-black/60 flex items-center justify-center p-4">
+          <div className="w-full max-w-md bg-gray-900 border border-white/10 rounded-2xl p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-medium">Import {importState.fileName}</h3>
+              <button onClick={()=>setImportState(null)} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
+            </div>
+            {importState.errors.length > 0 ? (
+              <div className="space-y-2">
+                <p className="text-sm text-red-400">This file can't be imported:</p>
+                <ul className="text-xs text-gray-400 space-y-1 max-h-48 overflow-auto list-disc pl-4">
+                  {importState.errors.slice(0, 20).map((e, i) => <li key={i}>{e}</li>)}
+                  {importState.errors.length > 20 && <li>…and {importState.errors.length - 20} more</li>}
+                </ul>
+              </div>
+            ) : (
+              <div className="space-y-3 text-sm">
+                <p className="text-gray-300">Will add {importPlan.counts.niche_pages} pages, {importPlan.counts.widgets} widgets and {importPlan.counts.feed_posts} posts{importPlan.counts.post_drafts > 0 && ` plus ${importPlan.counts.post_drafts} drafts`}{importPlan.counts.page_templates > 0 && ` and ${importPlan.counts.page_templates} templates`}.</p>
+                {importPlan.conflicts.length > 0 && (
+                  <ul className="text-xs text-amber-300 space-y-1 max-h-40 overflow-auto list-disc pl-4">
+                    {importPlan.conflicts.map((c, i) => <li key={i}>{c.message}</li>)}
+                  </ul>
+                )}
+                {importPlan.conflicts.some(c => c.kind === 'duplicate-name') && (
+                  <div>
+                    <label className="text-xs text-gray-400">Pages with existing names</label>
+                    <select value={importState.duplicates} onChange={e=>setImportState(st=>({...st, duplicates: e.target.value}))} className="w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm">
+                      <option value="rename">Import as "(imported)" copies</option>
+                      <option value="skip">Skip them</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+            <div className="flex justify-end gap-2 pt-4">
+              <button onClick={()=>setImportState(null)} className="px-3 py-2 rounded-lg bg-white/10">Cancel</button>
+              {importState.errors.length === 0 && (
+                <button onClick={runImport} disabled={importing || importPlan.ops.length === 0} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">{importing ? 'Importing…' : 'Import'}</button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Settings Modal */}
       {showSettings && (
         <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4">
@@ -415,11 +2215,23 @@ export default function Selphi() {
               <h3 className="text-lg font-medium">Selphi Settings</h3>
               <button onClick={()=>setShowSettings(false)} className="p-2 rounded-lg hover:bg-white/5"><X size={16}/></button>
             </div>
+            <div className="mb-4 space-y-1 border-b border-white/10 pb-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="text-xs text-gray-400">Profile</label>
+                <select value={activeProfileId} onChange={e=>switchProfile(e.target.value)} className="bg-white/5 border border-white/10 rounded-lg px-2 py-1.5 text-sm">
+                  {allProfiles.map(p => <option key={p.id} value={p.id} className="bg-gray-900">{p.name || 'Untitled'}</option>)}
+                </select>
+                <input value={activeProfile.name} onChange={e=>renameProfile(e.target.value)} aria-label="Profile name" placeholder="Profile name" className="flex-1 min-w-[8rem] bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-sm" />
+                <button onClick={addProfile} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15"><Plus size={14}/> New</button>
+                <button onClick={deleteProfile} disabled={allProfiles.length < 2} title="Delete profile" className="p-2 rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50"><Trash2 size={14}/></button>
+              </div>
+              <p className="text-[10px] text-gray-500">The config, token and App ID below belong to this profile. Each profile keeps its own sign-in; switching reconnects without a reload.</p>
+            </div>
             <div className="grid md:grid-cols-2 gap-4">
               <div className="space-y-2">
                 <label className="text-xs text-gray-400">Firebase Web Config (JSON)</label>
                 <textarea value={firebaseConfigRaw} onChange={e=>setFirebaseConfigRaw(e.target.value)} rows={8} placeholder='{"apiKey":"...","authDomain":"...","projectId":"...","appId":"..."}' className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" />
-                <p className="text-[10px] text-gray-500">Stored locally only. Required: apiKey, authDomain, projectId</p>
+                <p className="text-[10px] text-gray-500">Stored locally only. Required: apiKey, authDomain, projectId. Leave empty to keep your data on this device.</p>
               </div>
               <div className="space-y-2">
                 <label className="text-xs text-gray-400">Initial Auth Token (optional)</label>
@@ -427,8 +2239,39 @@ export default function Selphi() {
                 <label className="text-xs text-gray-400">App ID</label>
                 <input value={appId} onChange={e=>setAppId(e.target.value)} className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm" placeholder="__app_id" />
                 <div className="text-xs text-gray-500">Data path: /artifacts/{appId || 'your-app'}/users/{user?.uid || 'user'}/selphi_data/*</div>
+                <label className="flex items-start gap-2 pt-2 text-xs text-gray-300">
+                  <input type="checkbox" checked={!!useEmulators} onChange={e=>toggleEmulators(e.target.checked)} className="mt-0.5" />
+                  <span>Use local emulators <span className="text-gray-500">({EMULATOR_HOST} · auth {EMULATOR_PORTS.auth}, firestore {EMULATOR_PORTS.firestore}, storage {EMULATOR_PORTS.storage}). Reloads the app; uses a demo project when no config is saved.</span></span>
+                </label>
+                <a href="/test" className="inline-block text-xs text-indigo-300 hover:text-indigo-200">Run connection diagnostics →</a>
               </div>
             </div>
+            {store?.kind === 'firebase' && localPageCount > 0 && (
+              <div className="mt-4 flex items-center justify-between gap-3 bg-indigo-500/10 border border-indigo-500/30 rounded-xl px-3 py-2 text-xs text-indigo-200">
+                <span>{localPageCount} {localPageCount === 1 ? 'page' : 'pages'} saved on this device before you connected.</span>
+                <button onClick={()=>askConfirm('Migrate local data?', 'Local pages, widgets and posts will be copied into Firestore and then removed from this device.', migrateLocalData, 'Migrate')} className="shrink-0 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-white">Migrate to Firestore</button>
+              </div>
+            )}
+            <div className="mt-4 flex flex-wrap items-center gap-2 border-t border-white/10 pt-4">
+              <span className="text-xs text-gray-400 mr-auto">Backup: every page, widget and post as one JSON file</span>
+              <button onClick={exportProfile} disabled={!store} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 disabled:opacity-50"><Download size={14}/> Export</button>
+              <label className={cls('inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 cursor-pointer', !store && 'opacity-50 pointer-events-none')}>
+                <Upload size={14}/> Import
+                <input type="file" accept="application/json,.json" className="hidden" onChange={e=>{ readImportFile(e.target.files?.[0]); e.target.value = '' }} />
+              </label>
+            </div>
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-400 mr-auto">Profiles: names, configs and App IDs</span>
+              <label className="inline-flex items-center gap-1.5 text-xs text-gray-400">
+                <input type="checkbox" checked={exportTokens} onChange={e=>setExportTokens(e.target.checked)} /> Include tokens
+              </label>
+              <button onClick={exportProfilesFile} className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15"><Download size={14}/> Export</button>
+              <label className="inline-flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-white/10 hover:bg-white/15 cursor-pointer">
+                <Upload size={14}/> Import
+                <input type="file" accept="application/json,.json" className="hidden" onChange={e=>{ readProfilesFile(e.target.files?.[0]); e.target.value = '' }} />
+              </label>
+            </div>
+            {profileMessage && <p className="mt-2 text-xs text-gray-400">{profileMessage}</p>}
             <div className="flex justify-end gap-2 mt-4">
               <button onClick={()=>setShowSettings(false)} className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500">Done</button>
             </div>
@@ -0,0 +1,413 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Image as ImageIcon, Link as LinkIcon, Text as TextIcon, Share2, Hash, Images, Timer, List, Music, Vote, Newspaper, Puzzle, ExternalLink } from 'lucide-react'
+import Embed from './embed'
+import { cls } from '../lib/cls'
+import { parseUrl } from '../lib/embeds'
+import { tagCounts } from '../lib/search'
+import { isLive, useLiveBound, toLocalInput, fromLocalInput, formatWhen } from '../lib/schedule'
+import { pageUrl, parsePageUrl } from '../lib/routes'
+import useResolvedPosts from '../lib/useResolvedPosts'
+
+// Widget types. Content is always a single string so templates, archives and
+// search treat every type alike; types with more than one field spread it over lines.
+// Each type declares:
+//   label, icon
+//   validate(content) -> error message or null
+//   Render({ widget, ctx }) where ctx is { store, ownerUid, viewer, storeFor, pages, onTag }
+//   Editor({ value, onChange, ctx }) (optional; a textarea showing `placeholder` otherwise)
+//   toHtml(content, helpers) -> markup for the static export (optional; the escaped text otherwise),
+//     with helpers { esc, asset, date, posts, origin } from lib/staticExport
+export const widgetTypes = {}
+
+export function registerWidgetType(type, def) {
+  widgetTypes[type] = { rows: 3, ...def }
+}
+
+export const inputClass = 'w-full mt-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm'
+
+const lines = (content) => (content || '').split('\n').map(l => l.trim()).filter(Boolean)
+const required = (message) => (content) => (content.trim() ? null : message)
+
+// Ops that remove a widget's subcollections; Firestore does not cascade deletes
+export async function widgetChildrenOps(store, widget) {
+  if (widget.type !== 'poll') return []
+  const path = `widgets/${widget.id}/votes`
+  return (await store.list(path)).map(v => ({ type: 'delete', path, id: v.id }))
+}
+
+export const widgetError = (type, content) => (widgetTypes[type] ? widgetTypes[type].validate(content || '') : 'Pick a widget type.')
+
+export function widgetStaticHtml(widget, h) {
+  const def = widgetTypes[widget.type]
+  const content = widget.content || ''
+  return { label: def?.label || widget.type, html: def?.toHtml ? def.toHtml(content, h) : `<p class="text">${h.esc(content)}</p>` }
+}
+
+const linkHtml = (h, url, label) => `<a href="${h.esc(url)}" rel="noopener nofollow">${h.esc(label || url)}</a>`
+
+export function WidgetBody({ widget, ctx }) {
+  const def = widgetTypes[widget.type]
+  if (!def) {
+    return (
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        <Puzzle size={14} className="shrink-0" /> This widget ({widget.type}) is not supported here.
+      </div>
+    )
+  }
+  return <def.Render widget={widget} ctx={ctx} />
+}
+
+export function WidgetEditor({ type, value, onChange, ctx }) {
+  const def = widgetTypes[type]
+  if (def?.Editor) return <def.Editor value={value} onChange={onChange} ctx={ctx} />
+  return <textarea value={value} onChange={e => onChange(e.target.value)} rows={def?.rows || 3} placeholder={def?.placeholder || ''} className={inputClass} />
+}
+
+// Counts tags over the page's most recent posts rather than loading its whole history
+function TagCloud({ widget, ctx }) {
+  const [posts, setPosts] = useState([])
+  const bound = useLiveBound(ctx.viewer?.uid !== ctx.ownerUid)
+  useEffect(() => {
+    if (!ctx.store) return
+    return ctx.store.subscribe('feed_posts', { where: ['pageId', widget.pageId], ...(bound && { upTo: ['timestamp', bound] }), orderBy: ['timestamp', 'desc'], limit: 200 }, setPosts, () => {})
+  }, [ctx.store, widget.pageId, bound])
+  const storeOf = useCallback(() => ctx.store, [ctx.store])
+  const resolved = useResolvedPosts(posts, storeOf)
+  const max = parseInt(widget.content, 10) || 30
+  const tags = useMemo(() => tagCounts(resolved.filter(p => isLive(p, new Date()))).slice(0, max), [resolved, max])
+  if (!tags.length) return <p className="text-xs text-gray-500">Tag posts with #hashtags to fill this cloud.</p>
+  const top = tags[0][1]
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {tags.map(([tag, n]) => (
+        <button key={tag} onClick={() => ctx.onTag(tag)} title={`${n} ${n === 1 ? 'post' : 'posts'}`} className="px-2 py-0.5 rounded-full bg-white/5 hover:bg-indigo-500/20 text-indigo-200" style={{ fontSize: `${0.7 + 0.45 * (n / top)}rem` }}>#{tag}</button>
+      ))}
+    </div>
+  )
+}
+
+const Text = ({ widget }) => <p className="break-words text-gray-200 text-sm leading-relaxed">{widget.content}</p>
+
+function Gallery({ widget }) {
+  const urls = lines(widget.content).map(parseUrl).filter(Boolean).map(u => u.href)
+  return (
+    <div className={cls('grid gap-1.5', urls.length > 1 && 'grid-cols-2', urls.length > 4 && 'grid-cols-3')}>
+      {urls.map((url, i) => (
+        <a key={i} href={url} target="_blank" rel="noopener noreferrer nofollow">
+          <img src={url} alt="" loading="lazy" className="rounded-lg w-full aspect-square object-cover bg-white/5" />
+        </a>
+      ))}
+    </div>
+  )
+}
+
+// "Label | https://…" or a bare URL, one per line
+const parseLinkLine = (line) => {
+  const [label, url] = line.includes('|') ? line.split('|').map(s => s.trim()) : [null, line]
+  const parsed = parseUrl(url)
+  return parsed && { label: label || parsed.hostname.replace(/^www\./, ''), url: parsed.href }
+}
+
+function LinkList({ widget }) {
+  const links = lines(widget.content).map(parseLinkLine).filter(Boolean)
+  return (
+    <ul className="space-y-1">
+      {links.map((l, i) => (
+        <li key={i}>
+          <a href={l.url} target="_blank" rel="noopener noreferrer nofollow" className="flex items-center gap-2 px-2.5 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 text-gray-200">
+            <span className="truncate flex-1">{l.label}</span><ExternalLink size={12} className="shrink-0 text-gray-500" />
+          </a>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Content: the moment as an ISO string, then an optional label
+const parseCountdown = (content) => {
+  const [when, ...label] = (content || '').split('\n')
+  const at = new Date(when)
+  return { at: Number.isNaN(at.getTime()) ? null : at, label: label.join(' ') }
+}
+
+function Countdown({ widget }) {
+  const { at, label } = parseCountdown(widget.content)
+  const [now, setNow] = useState(() => Date.now())
+  const left = at ? at - now : 0
+  useEffect(() => {
+    if (left <= 0) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [left > 0])
+  if (!at) return null
+  const parts = [[86400000, 'd'], [3600000, 'h'], [60000, 'm'], [1000, 's']].map(([ms, unit], i, all) => (
+    [Math.floor((left % (all[i - 1]?.[0] || Infinity)) / ms), unit]
+  ))
+  return (
+    <div>
+      {label.trim() && <div className="text-gray-200 mb-1">{label}</div>}
+      {left > 0 ? (
+        <div className="flex gap-2 font-mono tabular-nums" role="timer" aria-label={`${label.trim() || 'Countdown'}: ends ${formatWhen(at)}`}>
+          {parts.map(([n, unit]) => <span key={unit} className="px-2 py-1 rounded-lg bg-white/5"><span className="text-lg text-indigo-200">{String(n).padStart(2, '0')}</span><span className="text-xs text-gray-500">{unit}</span></span>)}
+        </div>
+      ) : (
+        <div className="text-xs text-gray-400">Reached {formatWhen(at)}</div>
+      )}
+    </div>
+  )
+}
+
+function CountdownEditor({ value, onChange }) {
+  const { at, label } = parseCountdown(value)
+  const update = (date, text) => onChange(`${date ? date.toISOString() : ''}\n${text}`)
+  return (
+    <div className="space-y-2">
+      <input type="datetime-local" value={at ? toLocalInput(at) : ''} onChange={e => update(fromLocalInput(e.target.value), label)} className={cls(inputClass, '[color-scheme:dark]')} />
+      <input value={label} onChange={e => update(at, e.target.value)} placeholder="Label, e.g. Album release" className={inputClass} />
+    </div>
+  )
+}
+
+// Content: "Song – Artist", then an optional link that plays as an embed when it can
+function NowPlaying({ widget }) {
+  const [title, url] = lines(widget.content)
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="flex items-end gap-0.5 h-4" aria-hidden="true">
+          {[0, 150, 300].map(d => <span key={d} className="w-1 h-full bg-indigo-400 rounded-sm origin-bottom animate-pulse" style={{ animationDelay: `${d}ms` }} />)}
+        </span>
+        <span className="text-gray-200 truncate">{title}</span>
+      </div>
+      {url && <Embed content={url} />}
+    </div>
+  )
+}
+
+// Content: the question, then one option per line. Votes are one document per
+// viewer and name the option by its text, so editing the options never moves a vote.
+function Poll({ widget, ctx }) {
+  const [question, ...options] = lines(widget.content)
+  const [votes, setVotes] = useState([])
+  const [error, setError] = useState(null)
+  const path = `widgets/${widget.id}/votes`
+  useEffect(() => {
+    if (!ctx.store) return
+    return ctx.store.subscribe(path, {}, setVotes, () => setVotes([]))
+  }, [ctx.store, path])
+  const counted = votes.filter(v => options.includes(v.choice))
+  const mine = ctx.viewer && votes.find(v => v.id === ctx.viewer.uid)?.choice
+  const vote = (choice) => {
+    setError(null)
+    ctx.store.set(path, ctx.viewer.uid, { choice, at: ctx.store.now() })
+      .catch(e => setError(e.code === 'permission-denied' ? 'Your vote was not accepted on this page.' : `Could not save your vote: ${e.message}`))
+  }
+  return (
+    <div>
+      <div className="text-gray-200 mb-2">{question}</div>
+      <div className="space-y-1.5">
+        {options.map(o => {
+          const n = counted.filter(v => v.choice === o).length
+          const share = counted.length ? Math.round((n / counted.length) * 100) : 0
+          return (
+            <button key={o} onClick={() => vote(o)} disabled={!ctx.viewer || !ctx.store} aria-pressed={mine === o} className={cls('relative w-full text-left px-2.5 py-1.5 rounded-lg overflow-hidden border disabled:cursor-default', mine === o ? 'border-indigo-400' : 'border-white/10 hover:border-white/20')}>
+              <span className="absolute inset-y-0 left-0 bg-indigo-500/20" style={{ width: `${share}%` }} />
+              <span className="relative flex justify-between gap-2"><span className="truncate">{o}</span><span className="text-xs text-gray-400 tabular-nums">{share}%</span></span>
+            </button>
+          )
+        })}
+      </div>
+      <div className="text-[11px] text-gray-500 mt-1.5">{counted.length} {counted.length === 1 ? 'vote' : 'votes'}{!ctx.viewer && ' · sign in to vote'}</div>
+      {error && <p className="text-[11px] text-red-400 mt-1">{error}</p>}
+    </div>
+  )
+}
+
+// Content: a page link, then how many posts to show
+const parseLatest = (content) => {
+  const [link, count] = lines(content)
+  return { target: parsePageUrl(link), count: Math.min(Math.max(parseInt(count, 10) || 5, 1), 20) }
+}
+
+function LatestPosts({ widget, ctx }) {
+  const { target, count } = parseLatest(widget.content)
+  const store = !target ? null : target.uid === ctx.ownerUid ? ctx.store : ctx.storeFor?.(target.uid)
+  const [state, setState] = useState({ posts: [], error: null })
+  const bound = useLiveBound(!!target && target.uid !== ctx.viewer?.uid)
+  useEffect(() => {
+    if (!store) return
+    return store.subscribe('feed_posts', { where: ['pageId', target.pageId], ...(bound && { upTo: ['timestamp', bound] }), orderBy: ['timestamp', 'desc'], limit: count + 5 },
+      posts => setState({ posts, error: null }),
+      () => setState({ posts: [], error: 'That page is not visible to you.' }))
+  }, [store, target?.pageId, count, bound])
+  const storeOf = useCallback(() => store, [store])
+  const resolved = useResolvedPosts(state.posts, storeOf)
+  if (!store) return <p className="text-xs text-gray-500">Posts from other accounts need Firebase.</p>
+  if (state.error) return <p className="text-xs text-gray-500">{state.error}</p>
+  const posts = resolved.filter(p => isLive(p, new Date())).slice(0, count)
+  if (!posts.length) return <p className="text-xs text-gray-500">No posts yet.</p>
+  return (
+    <ul className="space-y-1.5">
+      {posts.map(p => (
+        <li key={p.id}>
+          <Link to={`${pageUrl(target.uid, target.pageId)}?post=${p.id}`} className="block px-2.5 py-1.5 rounded-lg bg-white/5 hover:bg-white/10">
+            <span className="block text-xs text-gray-200 line-clamp-2 break-words">{p.content || 'Image post'}</span>
+            {p.timestamp && <span className="block text-[10px] text-gray-500 mt-0.5">{p.timestamp.toLocaleDateString()}</span>}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function LatestPostsEditor({ value, onChange, ctx }) {
+  const [link = '', count = ''] = (value || '').split('\n')
+  const update = (l, c) => onChange(`${l}\n${c}`)
+  const own = ctx.pages.find(p => link === pageUrl(ctx.ownerUid, p.id))
+  return (
+    <div className="space-y-2">
+      {ctx.pages.length > 0 && (
+        <select value={own?.id || ''} onChange={e => update(e.target.value ? pageUrl(ctx.ownerUid, e.target.value) : '', count)} className={inputClass}>
+          <option value="">Another account's page (paste its link)</option>
+          {ctx.pages.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      )}
+      {!own && <input value={link} onChange={e => update(e.target.value.trim(), count)} placeholder="Page link, e.g. https://…/u/…/p/…" className={inputClass} />}
+      <input type="number" min={1} max={20} value={count} onChange={e => update(link, e.target.value)} placeholder="Posts to show (default 5)" className={inputClass} />
+    </div>
+  )
+}
+
+registerWidgetType('link', {
+  label: 'Link',
+  icon: LinkIcon,
+  validate: required('Add a link.'),
+  Render: ({ widget }) => <Embed content={widget.content} embed={false} />,
+  toHtml: (c, h) => (parseUrl(c) ? linkHtml(h, parseUrl(c).href) : `<p class="text">${h.esc(c)}</p>`),
+})
+
+registerWidgetType('image', {
+  label: 'Image URL',
+  icon: ImageIcon,
+  placeholder: 'https://…',
+  validate: (c) => (parseUrl(c) ? null : 'Enter the image URL.'),
+  Render: ({ widget }) => <img src={widget.content} alt="widget" className="rounded-lg w-full object-cover" />,
+  toHtml: (c, h) => (parseUrl(c) ? `<img src="${h.esc(h.asset(parseUrl(c).href))}" alt="">` : ''),
+})
+
+registerWidgetType('text', {
+  label: 'Text',
+  icon: TextIcon,
+  validate: required('Write some text.'),
+  Render: Text,
+})
+
+registerWidgetType('social_embed', {
+  label: 'Social Embed',
+  icon: Share2,
+  placeholder: 'YouTube, Spotify, X, Instagram, GitHub or SoundCloud URL',
+  validate: (c) => (parseUrl(c) ? null : 'Paste a link to embed.'),
+  Render: ({ widget }) => <Embed content={widget.content} />,
+  toHtml: (c, h) => (parseUrl(c) ? linkHtml(h, parseUrl(c).href) : ''),
+})
+
+registerWidgetType('tag_cloud', {
+  label: 'Tag Cloud',
+  icon: Hash,
+  rows: 1,
+  placeholder: 'Number of tags to show (default 30)',
+  validate: (c) => (!c.trim() || parseInt(c, 10) > 0 ? null : 'Use a number of tags, or leave it empty.'),
+  Render: TagCloud,
+  toHtml: (c, h) => `<ul class="tags">${tagCounts(h.posts).slice(0, parseInt(c, 10) || 30).map(([t]) => `<li>#${h.esc(t)}</li>`).join('')}</ul>`,
+})
+
+registerWidgetType('gallery', {
+  label: 'Image Gallery',
+  icon: Images,
+  rows: 4,
+  placeholder: 'One image URL per line (up to 12)',
+  validate: (c) => {
+    const urls = lines(c)
+    if (!urls.length) return 'Add at least one image URL.'
+    if (urls.length > 12) return 'A gallery holds up to 12 images.'
+    return urls.every(parseUrl) ? null : 'Every line needs to be an image URL.'
+  },
+  Render: Gallery,
+  toHtml: (c, h) => `<div class="grid">${lines(c).map(parseUrl).filter(Boolean).map(url => `<img src="${h.esc(h.asset(url.href))}" alt="" loading="lazy">`).join('')}</div>`,
+})
+
+registerWidgetType('countdown', {
+  label: 'Countdown',
+  icon: Timer,
+  validate: (c) => (parseCountdown(c).at ? null : 'Pick a date and time.'),
+  Render: Countdown,
+  Editor: CountdownEditor,
+  toHtml: (c, h) => {
+    const { at, label } = parseCountdown(c)
+    if (!at) return ''
+    return `${label.trim() ? `<p class="text">${h.esc(label.trim())}</p>` : ''}<p class="meta"><time datetime="${at.toISOString()}">${h.date(at)}</time></p>`
+  },
+})
+
+registerWidgetType('link_list', {
+  label: 'Link List',
+  icon: List,
+  rows: 5,
+  placeholder: 'One link per line: Label | https://…',
+  validate: (c) => {
+    const all = lines(c)
+    if (!all.length) return 'Add at least one link.'
+    return all.every(parseLinkLine) ? null : 'Every line needs a URL.'
+  },
+  Render: LinkList,
+  toHtml: (c, h) => `<ul class="links">${lines(c).map(parseLinkLine).filter(Boolean).map(l => `<li>${linkHtml(h, l.url, l.label)}</li>`).join('')}</ul>`,
+})
+
+registerWidgetType('now_playing', {
+  label: 'Now Playing',
+  icon: Music,
+  rows: 2,
+  placeholder: 'Song – Artist\nOptional Spotify, SoundCloud or YouTube link',
+  validate: (c) => {
+    const [title, url] = lines(c)
+    if (!title) return 'Add what is playing.'
+    return !url || parseUrl(url) ? null : 'The second line should be a link.'
+  },
+  Render: NowPlaying,
+  toHtml: (c, h) => {
+    const [title, url] = lines(c)
+    return `<p class="text">${h.esc(title)}</p>${parseUrl(url) ? linkHtml(h, parseUrl(url).href, 'Listen') : ''}`
+  },
+})
+
+registerWidgetType('poll', {
+  label: 'Poll',
+  icon: Vote,
+  rows: 5,
+  placeholder: 'Question on the first line, then one option per line',
+  validate: (c) => {
+    const [question, ...options] = lines(c)
+    if (!question) return 'Ask a question.'
+    if (options.length < 2 || options.length > 6) return 'Give 2 to 6 options.'
+    return new Set(options).size === options.length ? null : 'Options need to differ.'
+  },
+  Render: Poll,
+  toHtml: (c, h) => {
+    const [question, ...options] = lines(c)
+    return `<p class="text">${h.esc(question)}</p><ul>${options.map(o => `<li>${h.esc(o)}</li>`).join('')}</ul>`
+  },
+})
+
+registerWidgetType('latest_posts', {
+  label: 'Latest Posts',
+  icon: Newspaper,
+  validate: (c) => (parseLatest(c).target ? null : 'Pick a page or paste its link.'),
+  Render: LatestPosts,
+  Editor: LatestPostsEditor,
+  // Another page's posts are live data, so the export links to that page instead
+  toHtml: (c, h) => {
+    const { target } = parseLatest(c)
+    return target ? linkHtml(h, `${h.origin}${pageUrl(target.uid, target.pageId)}`, 'See the latest posts') : ''
+  },
+})
@@ -0,0 +1,61 @@
+// Pasted URLs and what resolveEmbed() should make of them, grouped by provider.
+// `null` means the provider does not claim the URL (it falls back to a plain link).
+
+export const youtube = [
+  ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', aspectRatio: '16 / 9' }],
+  ['https://youtu.be/dQw4w9WgXcQ?t=42', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', aspectRatio: '16 / 9' }],
+  ['m.youtube.com/shorts/aBc_123-xYz', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/aBc_123-xYz', aspectRatio: '16 / 9' }],
+  ['https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RD', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', aspectRatio: '16 / 9' }],
+  ['https://www.youtube.com/embed/dQw4w9WgXcQ', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', aspectRatio: '16 / 9' }],
+  ['https://www.youtube.com/live/dQw4w9WgXcQ', { provider: 'YouTube', kind: 'iframe', src: 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', aspectRatio: '16 / 9' }],
+  ['https://www.youtube.com/watch?v=short', null],
+  ['https://www.youtube.com/@channel', null],
+  ['https://youtu.be/', null],
+]
+
+export const spotify = [
+  ['https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC', { provider: 'Spotify', kind: 'iframe', src: 'https://open.spotify.com/embed/track/4uLU6hMCjMI75M1A2tKUQC', height: 152 }],
+  ['https://open.spotify.com/intl-de/album/1DFixLWuPkv3KT3TnV35m3?si=abc', { provider: 'Spotify', kind: 'iframe', src: 'https://open.spotify.com/embed/album/1DFixLWuPkv3KT3TnV35m3', height: 352 }],
+  ['https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M', { provider: 'Spotify', kind: 'iframe', src: 'https://open.spotify.com/embed/playlist/37i9dQZF1DXcBWIGoYBM5M', height: 352 }],
+  ['https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ', { provider: 'Spotify', kind: 'iframe', src: 'https://open.spotify.com/embed/episode/512ojhOuo1ktJprKbVcKyQ', height: 152 }],
+  ['https://open.spotify.com/user/spotify', null],
+  ['https://open.spotify.com/track/', null],
+  ['https://spotify.com/track/4uLU6hMCjMI75M1A2tKUQC', null],
+]
+
+export const x = [
+  ['https://twitter.com/jack/status/20', { provider: 'X', kind: 'iframe', src: 'https://platform.twitter.com/embed/Tweet.html?id=20&dnt=true&theme=dark', height: 420 }],
+  ['https://x.com/jack/status/20?s=46', { provider: 'X', kind: 'iframe', src: 'https://platform.twitter.com/embed/Tweet.html?id=20&dnt=true&theme=dark', height: 420 }],
+  ['https://mobile.twitter.com/jack/status/20/photo/1', { provider: 'X', kind: 'iframe', src: 'https://platform.twitter.com/embed/Tweet.html?id=20&dnt=true&theme=dark', height: 420 }],
+  ['https://x.com/jack', null],
+  ['https://x.com/jack/status/abc', null],
+]
+
+export const instagram = [
+  ['https://www.instagram.com/p/CxYz_12-ab/', { provider: 'Instagram', kind: 'iframe', src: 'https://www.instagram.com/p/CxYz_12-ab/embed', height: 540 }],
+  ['https://instagram.com/reel/Cabc123', { provider: 'Instagram', kind: 'iframe', src: 'https://www.instagram.com/reel/Cabc123/embed', height: 540 }],
+  ['https://www.instagram.com/tv/B1tv/?igsh=1', { provider: 'Instagram', kind: 'iframe', src: 'https://www.instagram.com/tv/B1tv/embed', height: 540 }],
+  ['https://www.instagram.com/someone/', null],
+]
+
+export const github = [
+  ['https://github.com/vitejs/vite', { provider: 'GitHub', kind: 'card', title: 'vitejs/vite', image: 'https://opengraph.githubassets.com/1/vitejs/vite', href: 'https://github.com/vitejs/vite' }],
+  ['github.com/facebook/react.git', { provider: 'GitHub', kind: 'card', title: 'facebook/react', image: 'https://opengraph.githubassets.com/1/facebook/react', href: 'https://github.com/facebook/react' }],
+  ['https://github.com/vitejs/vite/tree/main/docs', { provider: 'GitHub', kind: 'card', title: 'vitejs/vite', image: 'https://opengraph.githubassets.com/1/vitejs/vite', href: 'https://github.com/vitejs/vite' }],
+  ['https://github.com/vitejs', null],
+]
+
+export const soundcloud = [
+  ['https://soundcloud.com/artist/track-name', { provider: 'SoundCloud', kind: 'iframe', src: 'https://w.soundcloud.com/player/?url=https%3A%2F%2Fsoundcloud.com%2Fartist%2Ftrack-name&color=%236366f1&visual=false', height: 166 }],
+  ['https://m.soundcloud.com/artist/sets/album?si=1', { provider: 'SoundCloud', kind: 'iframe', src: 'https://w.soundcloud.com/player/?url=https%3A%2F%2Fsoundcloud.com%2Fartist%2Fsets%2Falbum&color=%236366f1&visual=false', height: 166 }],
+  ['https://soundcloud.com/artist', null],
+]
+
+// URLs no provider claims, and input that is not a URL at all
+export const fallback = [
+  ['https://example.com/some/page?q=1', { provider: null, kind: 'link', url: 'https://example.com/some/page?q=1', host: 'example.com' }],
+  ['www.example.org', { provider: null, kind: 'link', url: 'https://www.example.org/', host: 'example.org' }],
+  ['  http://Example.com  ', { provider: null, kind: 'link', url: 'http://example.com/', host: 'example.com' }],
+]
+
+export const notUrls = ['', '   ', 'hello', 'javascript:alert(1)', 'data:text/html,<b>x</b>', 'ftp://example.com/file', 'mailto:a@example.com', 'https://', null, undefined]
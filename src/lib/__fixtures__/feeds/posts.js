@@ -0,0 +1,40 @@
+// A public page and its posts, newest first, as pageFeed() receives them
+export const page = {
+  id: 'page1',
+  name: 'Tom & Jerry\'s "Notes" <daily>',
+  privacyLevel: 'public',
+  createdAt: new Date('2023-12-01T09:00:00Z'),
+}
+
+export const posts = [
+  {
+    id: 'post-3',
+    v: 2,
+    format: 'markdown',
+    content: '# Release <v2> & more\n\nSee [the docs](https://example.com/docs?a=1&b=2) and **bold** #news #Releases\n\n<script>alert(1)</script>',
+    tags: ['news', 'releases'],
+    attachments: [{ type: 'image', url: 'https://cdn.example.com/a b.png?x=1&y=2', name: 'Chart "Q1"', width: 640, height: 480 }],
+    timestamp: new Date('2024-03-10T14:30:00Z'),
+    editedAt: new Date('2024-03-11T08:15:30Z'),
+  },
+  {
+    id: 'post 2/ü',
+    v: 2,
+    format: 'markdown',
+    content: 'Emoji 🎉 and a control\u0001character, plus 5 > 3',
+    timestamp: new Date('2024-02-29T23:59:59Z'),
+  },
+  {
+    id: 'post-1',
+    content: 'Plain v1 text\nwith <b>tags</b> & a second line',
+    timestamp: new Date('2024-01-01T00:00:00Z'),
+  },
+  {
+    id: 'post-0',
+    v: 2,
+    format: 'markdown',
+    content: '',
+    attachments: [{ type: 'image', url: 'https://cdn.example.com/only.jpg', name: '' }],
+    timestamp: null,
+  },
+]
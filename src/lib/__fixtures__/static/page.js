@@ -0,0 +1,46 @@
+// A page with one widget of each kind the export renders differently, and a few posts
+export const page = {
+  id: 'page1',
+  name: 'Garden <Log> & "Notes"',
+  theme: { accent: 'emerald', background: 'dots', font: 'serif', mode: 'light', hero: { type: 'image', imageUrl: 'https://img.example.com/hero.jpg' } },
+}
+
+const widget = (id, panelLocation, order, type, content) => ({ id, pageId: 'page1', panelLocation, order, type, content })
+
+export const widgets = [
+  widget('w1', 'left', 0, 'text', 'Hello <there> & welcome'),
+  widget('w2', 'left', 1, 'link', 'example.com/about'),
+  widget('w3', 'left', 2, 'image', 'https://img.example.com/broken.png'),
+  widget('w4', 'right', 0, 'gallery', 'https://img.example.com/a.png\nhttps://img.example.com/b.webp\njavascript:alert(1)'),
+  widget('w5', 'right', 1, 'social_embed', 'https://www.youtube.com/watch?v=abc123&t=5'),
+  widget('w6', 'right', 2, 'link_list', 'Docs | https://docs.example.com\nhttps://example.org'),
+  widget('w7', 'right', 3, 'countdown', '2030-01-01T00:00:00.000Z\nLaunch'),
+  widget('w8', 'right', 4, 'tag_cloud', '5'),
+  widget('w9', 'left', 3, 'now_playing', 'Song – Artist\nopen.spotify.com/track/xyz'),
+]
+
+export const posts = [
+  {
+    id: 'p2',
+    v: 2,
+    format: 'markdown',
+    content: '**Tomatoes** are in #garden #Summer\n\n<script>alert(1)</script>',
+    tags: ['garden', 'summer'],
+    attachments: [{ type: 'image', url: 'https://img.example.com/a.png', name: 'Tomato "A"', width: 800, height: 600 }],
+    timestamp: new Date('2024-07-01T08:30:00Z'),
+  },
+  {
+    id: 'p1',
+    content: 'Plain first post\nwith <html> & two lines #garden',
+    timestamp: new Date('2024-06-01T18:05:00Z'),
+  },
+]
+
+// Bytes stand in for the images; broken.png fails as a CORS-blocked fetch would
+const ASSETS = {
+  'https://img.example.com/hero.jpg': { ext: 'jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]) },
+  'https://img.example.com/a.png': { ext: 'png', data: new Uint8Array([0x89, 0x50, 0x4e, 0x47]) },
+  'https://img.example.com/b.webp': { ext: 'webp', data: new Uint8Array([0x52, 0x49, 0x46, 0x46]) },
+}
+
+export const loadAsset = async (url) => ASSETS[url] || null
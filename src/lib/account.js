@@ -0,0 +1,90 @@
+import {
+  EmailAuthProvider,
+  linkWithCredential,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut,
+} from 'firebase/auth'
+import { buildArchive, planImport } from './archive'
+
+// The address an email link was sent to, needed again when the link is opened
+const LINK_EMAIL_KEY = 'selphi_email_for_signin'
+
+export const describeAccount = (u) => (u ? { uid: u.uid, email: u.email || null, isAnonymous: !!u.isAnonymous } : null)
+
+// A guest keeps its uid, and so its data, by linking the new credential instead of signing in
+export async function registerWithPassword(auth, email, password) {
+  const current = auth.currentUser
+  if (current?.isAnonymous) return (await linkWithCredential(current, EmailAuthProvider.credential(email, password))).user
+  return (await createUserWithEmailAndPassword(auth, email, password)).user
+}
+
+export const signInWithPassword = async (auth, email, password) => (await signInWithEmailAndPassword(auth, email, password)).user
+
+export async function sendEmailLink(auth, email) {
+  await sendSignInLinkToEmail(auth, email, { url: `${window.location.origin}${window.location.pathname}`, handleCodeInApp: true })
+  window.localStorage.setItem(LINK_EMAIL_KEY, email)
+}
+
+export const hasPendingEmailLink = (auth) => isSignInWithEmailLink(auth, window.location.href)
+
+export const savedLinkEmail = () => window.localStorage.getItem(LINK_EMAIL_KEY) || ''
+
+const CONFLICT_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use']
+
+// The address already belongs to another account, so the guest cannot be linked to it
+export const isAccountConflict = (e) => CONFLICT_CODES.includes(e?.code)
+
+// Links the guest when possible. An address that already has an account fails with
+// isAccountConflict and leaves the link unused, so the caller can ask before switchWithEmailLink.
+export async function completeEmailLink(auth, email) {
+  const href = window.location.href
+  const current = auth.currentUser
+  const user = current?.isAnonymous
+    ? (await linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, href))).user
+    : (await signInWithEmailLink(auth, email, href)).user
+  window.localStorage.removeItem(LINK_EMAIL_KEY)
+  return user
+}
+
+// Signs into the account that owns the address, leaving the guest behind. The guest's
+// documents are owner-only, so with `guestStore` they are read before the switch and
+// imported into storeFor(uid) after it. Returns { user, copied, copyError, archive }:
+// copied holds planImport's counts; when the import fails the archive is all that is left.
+export async function switchWithEmailLink(auth, email, { guestStore = null, storeFor = null } = {}) {
+  const archive = guestStore ? await buildArchive(guestStore) : null
+  const user = (await signInWithEmailLink(auth, email, window.location.href)).user
+  window.localStorage.removeItem(LINK_EMAIL_KEY)
+  if (!archive) return { user, copied: null, copyError: null, archive: null }
+  try {
+    const target = storeFor(user.uid)
+    const { ops, counts } = planImport(archive, { existingPages: await target.list('niche_pages'), userId: user.uid, newId: target.newId })
+    await target.batch(ops)
+    return { user, copied: counts, copyError: null, archive }
+  } catch (e) {
+    return { user, copied: null, copyError: e, archive }
+  }
+}
+
+export const signOutAccount = (auth) => signOut(auth)
+
+const AUTH_ERRORS = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-password': 'Enter a password.',
+  'auth/weak-password': 'Use a password with at least 6 characters.',
+  'auth/email-already-in-use': 'That email already has an account. Sign in to it instead.',
+  'auth/credential-already-in-use': 'That email already has an account. Sign in to it instead.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/too-many-requests': 'Too many attempts. Try again in a few minutes.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the Firebase project.',
+  'auth/invalid-action-code': 'This sign-in link has expired or was already used.',
+  'auth/expired-action-code': 'This sign-in link has expired or was already used.',
+  'auth/network-request-failed': 'Could not reach Firebase. Check your connection.',
+}
+
+export const authErrorMessage = (e) => AUTH_ERRORS[e?.code] || e?.message || 'Something went wrong.'
@@ -0,0 +1,105 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { linkWithCredential, signInWithEmailLink } from 'firebase/auth'
+import { createLocalStore } from '../storage'
+import { completeEmailLink, switchWithEmailLink, isAccountConflict } from './account'
+
+vi.mock('firebase/auth', () => ({
+  EmailAuthProvider: { credentialWithLink: (email, href) => ({ email, href }) },
+  linkWithCredential: vi.fn(),
+  signInWithEmailLink: vi.fn(),
+}))
+
+const guest = { uid: 'guest', isAnonymous: true }
+const member = { uid: 'member', email: 'ann@example.com', isAnonymous: false }
+const conflict = () => Object.assign(new Error('in use'), { code: 'auth/credential-already-in-use' })
+
+const EMAIL_KEY = 'selphi_email_for_signin'
+
+beforeEach(() => {
+  vi.resetAllMocks()
+  window.localStorage.clear()
+  window.localStorage.setItem(EMAIL_KEY, 'ann@example.com')
+  signInWithEmailLink.mockResolvedValue({ user: member })
+})
+
+describe('completeEmailLink', () => {
+  it('links a guest so it keeps its uid', async () => {
+    linkWithCredential.mockResolvedValue({ user: { ...guest, email: 'ann@example.com', isAnonymous: false } })
+    const user = await completeEmailLink({ currentUser: guest }, 'ann@example.com')
+    expect(user.uid).toBe('guest')
+    expect(signInWithEmailLink).not.toHaveBeenCalled()
+    expect(window.localStorage.getItem(EMAIL_KEY)).toBeNull()
+  })
+
+  it('signs in directly when nobody is a guest', async () => {
+    expect(await completeEmailLink({ currentUser: null }, 'ann@example.com')).toBe(member)
+  })
+
+  it('leaves the guest signed in when the address has its own account', async () => {
+    linkWithCredential.mockRejectedValue(conflict())
+    const error = await completeEmailLink({ currentUser: guest }, 'ann@example.com').catch(e => e)
+    expect(isAccountConflict(error)).toBe(true)
+    expect(signInWithEmailLink).not.toHaveBeenCalled()
+    expect(window.localStorage.getItem(EMAIL_KEY)).toBe('ann@example.com')
+  })
+
+  it('passes other errors through', async () => {
+    linkWithCredential.mockRejectedValue(Object.assign(new Error('expired'), { code: 'auth/expired-action-code' }))
+    const error = await completeEmailLink({ currentUser: guest }, 'ann@example.com').catch(e => e)
+    expect(isAccountConflict(error)).toBe(false)
+  })
+})
+
+describe('switchWithEmailLink', () => {
+  const auth = { currentUser: guest }
+
+  async function seedGuest() {
+    const store = createLocalStore(`guest-${Math.random()}`)
+    await store.set('niche_pages', 'g1', { name: 'Notes', privacyLevel: 'public', userId: 'guest', isDefault: true })
+    await store.set('widgets', 'w1', { pageId: 'g1', type: 'text', content: 'Hi', panelLocation: 'left' })
+    await store.set('feed_posts', 'p1', { pageId: 'g1', content: 'First', timestamp: new Date('2024-01-01T00:00:00Z') })
+    return store
+  }
+
+  it('leaves the guest data behind unless asked to copy it', async () => {
+    const result = await switchWithEmailLink(auth, 'ann@example.com')
+    expect(result).toEqual({ user: member, copied: null, copyError: null, archive: null })
+    expect(window.localStorage.getItem(EMAIL_KEY)).toBeNull()
+  })
+
+  it('copies the guest pages into the account it switches to', async () => {
+    const guestStore = await seedGuest()
+    const target = createLocalStore(`member-${Math.random()}`)
+    await target.set('niche_pages', 'm1', { name: 'Notes', privacyLevel: 'private', userId: 'member', isDefault: true })
+    const result = await switchWithEmailLink(auth, 'ann@example.com', { guestStore, storeFor: (uid) => (uid === 'member' ? target : null) })
+
+    expect(result.copyError).toBeNull()
+    expect(result.copied).toMatchObject({ niche_pages: 1, widgets: 1, feed_posts: 1 })
+    const pages = await target.list('niche_pages')
+    const copy = pages.find(p => p.id !== 'm1')
+    expect(copy).toMatchObject({ name: 'Notes (imported)', userId: 'member', isDefault: false })
+    expect(await target.list('widgets')).toEqual([expect.objectContaining({ pageId: copy.id, content: 'Hi', userId: 'member' })])
+    expect(await target.list('feed_posts')).toEqual([expect.objectContaining({ pageId: copy.id, content: 'First' })])
+  })
+
+  it('reads the guest data before signing in', async () => {
+    const guestStore = await seedGuest()
+    const list = vi.spyOn(guestStore, 'list')
+    signInWithEmailLink.mockImplementation(async () => {
+      expect(list).toHaveBeenCalled()
+      return { user: member }
+    })
+    await switchWithEmailLink(auth, 'ann@example.com', { guestStore, storeFor: () => createLocalStore(`member-${Math.random()}`) })
+    expect(signInWithEmailLink).toHaveBeenCalledOnce()
+  })
+
+  it('hands back the archive when the copy fails', async () => {
+    const guestStore = await seedGuest()
+    const target = { list: async () => [], newId: () => 'x', batch: async () => { throw new Error('quota') } }
+    const result = await switchWithEmailLink(auth, 'ann@example.com', { guestStore, storeFor: () => target })
+    expect(result.user).toBe(member)
+    expect(result.copyError.message).toBe('quota')
+    expect(result.archive.data.niche_pages).toEqual([expect.objectContaining({ id: 'g1', name: 'Notes' })])
+  })
+})
@@ -0,0 +1,176 @@
+import { COLLECTIONS } from '../storage'
+import { refId } from './crossPost'
+
+// Portable backup of everything under selphi_data.
+// { format, version, exportedAt, data: { niche_pages: [], widgets: [], feed_posts: [], post_drafts: [], page_templates: [] } }
+// post_drafts and page_templates came later and may be absent from older version 1 archives.
+// Dates are ISO strings; ids are the source ids and are remapped on import.
+export const ARCHIVE_FORMAT = 'selphi-archive'
+export const ARCHIVE_VERSION = 1
+
+const OPTIONAL_COLLECTIONS = ['post_drafts', 'page_templates']
+// Collections whose documents belong to a page through `pageId`
+const PAGE_CHILDREN = ['widgets', 'feed_posts', 'post_drafts']
+
+const PRIVACY_LEVELS = ['public', 'private', 'custom']
+const PANELS = ['left', 'right']
+// Account-specific fields that mean nothing once the data moves
+const DROPPED_FIELDS = ['userId']
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value)
+const isIsoDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+function serialize(doc) {
+  const out = {}
+  for (const k in doc) out[k] = toIso(doc[k])
+  return out
+}
+
+export async function buildArchive(store) {
+  const data = {}
+  for (const path of COLLECTIONS) data[path] = (await store.list(path)).map(serialize)
+  return { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: new Date().toISOString(), data }
+}
+
+// Field rules per collection: [name, check, required], where required may depend on the doc
+const str = (v) => typeof v === 'string'
+const SCHEMA = {
+  niche_pages: [
+    ['name', v => str(v) && v.trim().length > 0, true],
+    ['privacyLevel', v => PRIVACY_LEVELS.includes(v), true],
+    ['isDefault', v => typeof v === 'boolean', false],
+    ['trashDays', v => Number.isInteger(v) && v > 0, false],
+    // normalizeTheme tidies the contents when the page renders
+    ['theme', v => v && typeof v === 'object' && !Array.isArray(v), false],
+  ],
+  widgets: [
+    ['pageId', str, true],
+    ['type', str, true],
+    ['content', str, true],
+    ['panelLocation', v => PANELS.includes(v), true],
+    ['order', v => typeof v === 'number', false],
+  ],
+  feed_posts: [
+    ['pageId', str, true],
+    // Cross-post references (see lib/crossPost) carry no content of their own
+    ['content', str, doc => !doc.ref],
+    ['ref', str, false],
+    ['pageIds', v => Array.isArray(v) && v.every(str), false],
+    ['v', v => Number.isInteger(v) && v >= 1, false],
+    ['attachments', v => Array.isArray(v) && v.every(a => a && str(a.url)), false],
+  ],
+  post_drafts: [
+    ['pageId', str, true],
+    ['content', str, true],
+    ['attachments', v => Array.isArray(v) && v.every(a => a && str(a.url)), false],
+  ],
+  page_templates: [
+    ['name', v => str(v) && v.trim().length > 0, true],
+    ['widgets', v => Array.isArray(v) && v.every(w => w && str(w.type) && str(w.content) && PANELS.includes(w.panelLocation)), true],
+  ],
+}
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'timestamp', 'editedAt']
+
+// Returns a list of human-readable problems; empty means the archive is usable
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object') return ['Not a JSON object.']
+  if (archive.format !== ARCHIVE_FORMAT) return ['Not a Selphi archive.']
+  if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) return [`Unsupported archive version ${archive.version}.`]
+  if (!archive.data || typeof archive.data !== 'object') return ['Archive has no data section.']
+
+  const errors = []
+  for (const path of COLLECTIONS) {
+    const list = archive.data[path]
+    if (list === undefined && OPTIONAL_COLLECTIONS.includes(path)) continue
+    if (!Array.isArray(list)) { errors.push(`${path} must be a list.`); continue }
+    const ids = new Set()
+    list.forEach((doc, i) => {
+      const where = `${path}[${i}]`
+      if (!doc || typeof doc !== 'object') { errors.push(`${where} is not an object.`); return }
+      if (!str(doc.id) || !doc.id) errors.push(`${where} has no id.`)
+      else if (ids.has(doc.id)) errors.push(`${where} repeats id ${doc.id}.`)
+      ids.add(doc.id)
+      for (const [field, check, required] of SCHEMA[path]) {
+        if (doc[field] === undefined) { if (typeof required === 'function' ? required(doc) : required) errors.push(`${where} is missing ${field}.`) }
+        else if (!check(doc[field])) errors.push(`${where}.${field} is invalid.`)
+      }
+      for (const field of DATE_FIELDS) {
+        if (doc[field] != null && !isIsoDate(doc[field])) errors.push(`${where}.${field} is not a date.`)
+      }
+    })
+  }
+  if (errors.length) return errors
+
+  const pageIds = new Set(archive.data.niche_pages.map(p => p.id))
+  for (const path of PAGE_CHILDREN) {
+    (archive.data[path] || []).forEach((doc, i) => {
+      if (!pageIds.has(doc.pageId)) errors.push(`${path}[${i}] points at missing page ${doc.pageId}.`)
+    })
+  }
+  return errors
+}
+
+function deserialize(doc, overrides) {
+  const { id, ...rest } = doc
+  const out = {}
+  for (const k in rest) {
+    if (DROPPED_FIELDS.includes(k)) continue
+    out[k] = DATE_FIELDS.includes(k) && rest[k] != null ? new Date(rest[k]) : rest[k]
+  }
+  return { ...out, ...overrides }
+}
+
+// Works out what an import would write without writing it. Every document gets
+// a fresh id and widgets/posts follow their page to its new id. `duplicates`
+// decides what happens to pages whose name already exists: 'rename' or 'skip'.
+export function planImport(archive, { existingPages, userId, newId, duplicates = 'rename' }) {
+  const { niche_pages: pages } = archive.data
+  const existingNames = new Set(existingPages.map(p => p.name.trim().toLowerCase()))
+  const hasDefault = existingPages.some(p => p.isDefault)
+  const conflicts = []
+  const pageIdMap = new Map()
+  const ops = []
+
+  for (const page of pages) {
+    const clash = existingNames.has(page.name.trim().toLowerCase())
+    if (clash) conflicts.push({ kind: 'duplicate-name', message: `A page named "${page.name}" already exists.` })
+    if (clash && duplicates === 'skip') continue
+    const id = newId('niche_pages')
+    pageIdMap.set(page.id, id)
+    const name = clash ? `${page.name} (imported)` : page.name
+    ops.push({ type: 'set', path: 'niche_pages', id, data: deserialize(page, { userId, name, isDefault: !!page.isDefault && !hasDefault }) })
+  }
+  if (hasDefault && pages.some(p => p.isDefault)) {
+    conflicts.push({ kind: 'default-page', message: 'You already have a default page, so the imported default will not replace it.' })
+  }
+
+  const counts = { niche_pages: pageIdMap.size, widgets: 0, feed_posts: 0, post_drafts: 0, page_templates: 0 }
+  const postIdMap = new Map()
+  for (const path of PAGE_CHILDREN) {
+    for (const doc of archive.data[path] || []) {
+      const pageId = pageIdMap.get(doc.pageId)
+      if (!pageId || doc.ref) continue
+      const id = newId(path)
+      const extra = {}
+      if (doc.pageIds) {
+        postIdMap.set(doc.id, id)
+        extra.pageIds = doc.pageIds.map(p => pageIdMap.get(p)).filter(Boolean)
+      }
+      ops.push({ type: 'set', path, id, data: deserialize(doc, { userId, pageId, ...extra }) })
+      counts[path] += 1
+    }
+  }
+  // References follow their post's new id; one whose post or page was skipped is dropped
+  for (const doc of archive.data.feed_posts.filter(p => p.ref)) {
+    const pageId = pageIdMap.get(doc.pageId)
+    const ref = postIdMap.get(doc.ref)
+    if (!pageId || !ref) continue
+    ops.push({ type: 'set', path: 'feed_posts', id: refId(ref, pageId), data: deserialize(doc, { userId, pageId, ref }) })
+  }
+  // Templates belong to no page, so they always come along
+  for (const doc of archive.data.page_templates || []) {
+    ops.push({ type: 'set', path: 'page_templates', id: newId('page_templates'), data: deserialize(doc, { userId }) })
+    counts.page_templates += 1
+  }
+  return { ops, counts, conflicts }
+}
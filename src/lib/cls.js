@@ -0,0 +1,2 @@
+// Joins truthy class names
+export const cls = (...c) => c.filter(Boolean).join(' ')
@@ -0,0 +1,37 @@
+// A cross-posted feed post is stored once, on the page it was written on
+// (`pageId`), and lists every page it appears on in `pageIds`. Each other page
+// gets a small reference doc in feed_posts, id "{postId}_{pageId}", carrying
+// only what that page's feed query sorts and filters on. The references are
+// what let the per-page queries and security rules stay keyed on `pageId`.
+
+// The security rules check at most this many pages when a reference is followed
+export const MAX_CROSS_POST_PAGES = 4
+
+export const refId = (postId, pageId) => `${postId}_${pageId}`
+
+export const refData = (post, postId, pageId) => ({
+  userId: post.userId,
+  pageId,
+  ref: postId,
+  timestamp: post.timestamp,
+})
+
+// Posts resolved from a reference (see useResolvedPosts) carry their own page as originPageId
+export const originPageId = (post) => post.originPageId || post.pageId
+
+export const otherPageIds = (post) => (post.pageIds || []).filter(id => id !== originPageId(post))
+
+// Ops that apply `patch` (timestamps only, as references hold nothing else) to a post's references
+export const refUpdateOps = (post, patch) => otherPageIds(post).map(pageId => (
+  { type: 'update', path: 'feed_posts', id: refId(post.id, pageId), data: patch }
+))
+
+export const refDeleteOps = (post) => otherPageIds(post).map(pageId => (
+  { type: 'delete', path: 'feed_posts', id: refId(post.id, pageId) }
+))
+
+// Target pages more public than the page the post is written on, which would widen its audience
+export function privacyWidening(source, targets) {
+  const rank = { private: 0, custom: 1, public: 2 }
+  return targets.filter(t => rank[t.privacyLevel] > rank[source.privacyLevel])
+}
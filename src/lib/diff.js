@@ -0,0 +1,46 @@
+// Word-level diff for the history view: a list of { op: 'same' | 'add' | 'del', text }
+// where joining every non-'del' part gives `after` and every non-'add' part gives `before`.
+// Whitespace is kept as its own tokens so line breaks survive.
+
+// Past this many token pairs the LCS table gets too big for the main thread
+const MAX_CELLS = 4e6
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(Boolean)
+
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  if (a.length * b.length > MAX_CELLS) return merge([{ op: 'del', text: before || '' }, { op: 'add', text: after || '' }])
+
+  // lcs[i][j] is the LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const parts = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { parts.push({ op: 'same', text: a[i] }); i++; j++ }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) parts.push({ op: 'del', text: a[i++] })
+    else parts.push({ op: 'add', text: b[j++] })
+  }
+  while (i < a.length) parts.push({ op: 'del', text: a[i++] })
+  while (j < b.length) parts.push({ op: 'add', text: b[j++] })
+  return merge(parts)
+}
+
+// Joins neighbouring parts with the same op and drops empty ones
+function merge(parts) {
+  const out = []
+  for (const p of parts) {
+    if (!p.text) continue
+    const last = out[out.length - 1]
+    if (last && last.op === p.op) last.text += p.text
+    else out.push({ ...p })
+  }
+  return out
+}
@@ -0,0 +1,103 @@
+// URL -> embed resolution. Providers are pure functions of a parsed URL so
+// they can be checked against fixture URLs without touching the network.
+
+export function parseUrl(input) {
+  const raw = String(input || '').trim()
+  if (!raw) return null
+  const hasScheme = /^[a-z][a-z\d+.-]*:/i.test(raw)
+  try {
+    const url = new URL(hasScheme ? raw : `https://${raw}`)
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+    // Bare words like "hello" parse as hosts; only accept scheme-less input that looks like a domain
+    return hasScheme || url.hostname.includes('.') ? url : null
+  } catch { return null }
+}
+
+const host = (url) => url.hostname.replace(/^(www\.|m\.|mobile\.)/, '')
+const segments = (url) => url.pathname.split('/').filter(Boolean)
+
+const youtube = {
+  name: 'YouTube',
+  match(url) {
+    const h = host(url)
+    const [first, second] = segments(url)
+    let id = null
+    if (h === 'youtu.be') id = first
+    else if (h === 'youtube.com' || h === 'music.youtube.com') {
+      if (first === 'watch') id = url.searchParams.get('v')
+      else if (['embed', 'shorts', 'live'].includes(first)) id = second
+    }
+    if (!id || !/^[\w-]{11}$/.test(id)) return null
+    return { kind: 'iframe', src: `https://www.youtube-nocookie.com/embed/${id}`, aspectRatio: '16 / 9' }
+  },
+}
+
+const spotify = {
+  name: 'Spotify',
+  match(url) {
+    if (host(url) !== 'open.spotify.com') return null
+    const parts = segments(url).filter(p => !p.startsWith('intl-'))
+    const [type, id] = parts
+    if (!['track', 'album', 'playlist', 'episode', 'show', 'artist'].includes(type) || !/^\w+$/.test(id || '')) return null
+    return { kind: 'iframe', src: `https://open.spotify.com/embed/${type}/${id}`, height: type === 'track' || type === 'episode' ? 152 : 352 }
+  },
+}
+
+const twitter = {
+  name: 'X',
+  match(url) {
+    if (!['twitter.com', 'x.com'].includes(host(url))) return null
+    const [, status, id] = segments(url)
+    if (status !== 'status' || !/^\d+$/.test(id || '')) return null
+    return { kind: 'iframe', src: `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true&theme=dark`, height: 420 }
+  },
+}
+
+const instagram = {
+  name: 'Instagram',
+  match(url) {
+    if (host(url) !== 'instagram.com') return null
+    const [type, code] = segments(url)
+    if (!['p', 'reel', 'tv'].includes(type) || !/^[\w-]+$/.test(code || '')) return null
+    return { kind: 'iframe', src: `https://www.instagram.com/${type}/${code}/embed`, height: 540 }
+  },
+}
+
+// GitHub refuses to be framed, so repositories render as a preview card instead
+const github = {
+  name: 'GitHub',
+  match(url) {
+    if (host(url) !== 'github.com') return null
+    const [owner, repo] = segments(url)
+    if (!owner || !repo || !/^[\w.-]+$/.test(owner) || !/^[\w.-]+$/.test(repo)) return null
+    const name = `${owner}/${repo.replace(/\.git$/, '')}`
+    return { kind: 'card', title: name, image: `https://opengraph.githubassets.com/1/${name}`, href: `https://github.com/${name}` }
+  },
+}
+
+const soundcloud = {
+  name: 'SoundCloud',
+  match(url) {
+    if (host(url) !== 'soundcloud.com' || segments(url).length < 2) return null
+    const track = `https://soundcloud.com${url.pathname}`
+    return { kind: 'iframe', src: `https://w.soundcloud.com/player/?url=${encodeURIComponent(track)}&color=%236366f1&visual=false`, height: 166 }
+  },
+}
+
+export const providers = [youtube, spotify, twitter, instagram, github, soundcloud]
+
+export function registerProvider(provider) {
+  providers.push(provider)
+}
+
+// Returns { provider, kind, ... } for a recognised URL, a plain link for any
+// other http(s) URL, or null when the input is not a URL at all.
+export function resolveEmbed(input) {
+  const url = parseUrl(input)
+  if (!url) return null
+  for (const provider of providers) {
+    const embed = provider.match(url)
+    if (embed) return { provider: provider.name, url: url.href, ...embed }
+  }
+  return { provider: null, kind: 'link', url: url.href, host: host(url) }
+}
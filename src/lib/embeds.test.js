@@ -0,0 +1,49 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { parseUrl, resolveEmbed, providers, registerProvider } from './embeds'
+import * as fixtures from './__fixtures__/embeds/urls'
+
+const PROVIDERS = ['youtube', 'spotify', 'x', 'instagram', 'github', 'soundcloud']
+
+// Resolution is pure; any network access is a bug
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn(() => { throw new Error('no network in embed tests') }))
+})
+
+afterEach(() => {
+  expect(fetch).not.toHaveBeenCalled()
+  vi.unstubAllGlobals()
+})
+
+describe.each(PROVIDERS)('%s', (name) => {
+  const claimed = fixtures[name].filter(([, expected]) => expected)
+  const declined = fixtures[name].filter(([, expected]) => !expected)
+
+  it.each(claimed)('embeds %s', (input, expected) => {
+    expect(resolveEmbed(input)).toEqual({ url: parseUrl(input).href, ...expected })
+  })
+
+  it.each(declined)('leaves %s as a plain link', (input) => {
+    expect(resolveEmbed(input)).toMatchObject({ provider: null, kind: 'link', url: parseUrl(input).href })
+  })
+})
+
+describe('fallback', () => {
+  it.each(fixtures.fallback)('links %s', (input, expected) => {
+    expect(resolveEmbed(input)).toEqual(expected)
+  })
+
+  it.each(fixtures.notUrls)('rejects %j', (input) => {
+    expect(parseUrl(input)).toBeNull()
+    expect(resolveEmbed(input)).toBeNull()
+  })
+})
+
+describe('registerProvider', () => {
+  afterEach(() => { providers.splice(providers.findIndex(p => p.name === 'Example'), 1) })
+
+  it('is tried after the built-in providers', () => {
+    registerProvider({ name: 'Example', match: url => (url.hostname === 'example.com' || url.hostname === 'youtu.be' ? { kind: 'card', title: 'Example' } : null) })
+    expect(resolveEmbed('https://example.com/x')).toEqual({ provider: 'Example', url: 'https://example.com/x', kind: 'card', title: 'Example' })
+    expect(resolveEmbed('https://youtu.be/dQw4w9WgXcQ').provider).toBe('YouTube')
+  })
+})
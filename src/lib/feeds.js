@@ -0,0 +1,142 @@
+import { normalizePost, renderMarkdown } from './posts'
+import { pageUrl } from './routes'
+
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for a public page. Building
+// happens in two steps: pageFeed() turns the page and its (already resolved,
+// live) posts into a plain description, and the builders only serialise it,
+// so their output depends on nothing but their input. The app is a static SPA,
+// so nothing serves these documents at a URL; they carry no self links and
+// are handed out as downloads.
+
+export const FEED_FORMATS = {
+  rss: { label: 'RSS', ext: 'xml', type: 'application/rss+xml' },
+  atom: { label: 'Atom', ext: 'atom', type: 'application/atom+xml' },
+  json: { label: 'JSON Feed', ext: 'json', type: 'application/feed+json' },
+}
+
+export const FEED_LIMIT = 50
+
+export const feedUrl = (uid, pageId, format) => `${pageUrl(uid, pageId)}/feed/${format}`
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+export const escapeXml = (text) => String(text ?? '').replace(INVALID_XML, '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]
+))
+
+const escapeHtml = (text) => escapeXml(text).replace(/&apos;/g, '&#39;')
+
+// First line of the post without markdown punctuation, as posts have no title of their own
+export function postTitle(content, max = 80) {
+  const line = (content || '').split('\n').map(l => l.replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/, '').replace(/[*_`~]|!?\[([^\]]*)\]\([^)]*\)/g, (m, text) => text ?? '').trim()).find(Boolean)
+  if (!line) return ''
+  return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line
+}
+
+// { title, description, homeUrl, updated, items: [{ id, url, title, html, text, published, modified, tags, image }] }
+export function pageFeed(page, posts, { origin, ownerUid, render = renderMarkdown }) {
+  const home = `${origin}${pageUrl(ownerUid, page.id)}`
+  const items = posts.slice(0, FEED_LIMIT).map(p => {
+    const post = normalizePost(p)
+    const body = post.format === 'markdown' ? render(post.content) : `<p>${escapeHtml(post.content).replace(/\n/g, '<br>')}</p>`
+    const images = post.attachments.map(a => `<p><img src="${escapeHtml(a.url)}" alt="${escapeHtml(a.name || '')}"></p>`).join('')
+    const url = `${home}?post=${encodeURIComponent(p.id)}`
+    return {
+      id: url,
+      url,
+      title: postTitle(post.content) || (post.attachments.length ? 'Image post' : 'Post'),
+      html: body + images,
+      text: post.content || '',
+      published: p.timestamp || null,
+      modified: p.editedAt || p.timestamp || null,
+      tags: post.tags,
+      image: post.attachments[0]?.url || null,
+    }
+  })
+  const dates = items.map(i => i.modified).filter(Boolean)
+  return {
+    title: page.name,
+    description: `Posts from ${page.name} on Selphi`,
+    homeUrl: home,
+    updated: dates.length ? new Date(Math.max(...dates)) : page.createdAt || new Date(0),
+    items,
+  }
+}
+
+export function buildRss(feed) {
+  const items = feed.items.map(i => [
+    '    <item>',
+    `      <title>${escapeXml(i.title)}</title>`,
+    `      <link>${escapeXml(i.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(i.id)}</guid>`,
+    i.published && `      <pubDate>${i.published.toUTCString()}</pubDate>`,
+    ...i.tags.map(t => `      <category>${escapeXml(t)}</category>`),
+    `      <description>${escapeXml(i.html)}</description>`,
+    '    </item>',
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n')
+}
+
+export function buildAtom(feed) {
+  const entries = feed.items.map(i => [
+    '  <entry>',
+    `    <title>${escapeXml(i.title)}</title>`,
+    `    <link href="${escapeXml(i.url)}"/>`,
+    `    <id>${escapeXml(i.id)}</id>`,
+    i.published && `    <published>${i.published.toISOString()}</published>`,
+    `    <updated>${(i.modified || feed.updated).toISOString()}</updated>`,
+    ...i.tags.map(t => `    <category term="${escapeXml(t)}"/>`),
+    `    <content type="html">${escapeXml(i.html)}</content>`,
+    '  </entry>',
+  ].filter(Boolean).join('\n'))
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <id>${escapeXml(feed.homeUrl)}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.title)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n')
+}
+
+export function buildJsonFeed(feed) {
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    items: feed.items.map(i => ({
+      id: i.id,
+      url: i.url,
+      title: i.title,
+      content_html: i.html,
+      content_text: i.text,
+      ...(i.published ? { date_published: i.published.toISOString() } : {}),
+      ...(i.modified ? { date_modified: i.modified.toISOString() } : {}),
+      ...(i.tags.length ? { tags: i.tags } : {}),
+      ...(i.image ? { image: i.image } : {}),
+    })),
+  }, null, 2)}\n`
+}
+
+const BUILDERS = { rss: buildRss, atom: buildAtom, json: buildJsonFeed }
+
+export const buildFeed = (format, feed) => BUILDERS[format](feed)
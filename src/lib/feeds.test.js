@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { pageFeed, buildRss, buildAtom, buildJsonFeed, escapeXml, postTitle, FEED_LIMIT } from './feeds'
+import { page, posts } from './__fixtures__/feeds/posts'
+
+const feed = pageFeed(page, posts, { origin: 'https://selphi.example', ownerUid: 'owner1' })
+
+// Expected documents are checked in; after an intended change, regenerate them with `npx vitest run -u`
+describe('golden feeds', () => {
+  it('builds RSS 2.0', async () => {
+    await expect(buildRss(feed)).toMatchFileSnapshot('./__fixtures__/feeds/expected.rss.xml')
+  })
+
+  it('builds Atom 1.0', async () => {
+    await expect(buildAtom(feed)).toMatchFileSnapshot('./__fixtures__/feeds/expected.atom.xml')
+  })
+
+  it('builds JSON Feed 1.1', async () => {
+    await expect(buildJsonFeed(feed)).toMatchFileSnapshot('./__fixtures__/feeds/expected.feed.json')
+  })
+})
+
+describe('pageFeed', () => {
+  it('takes the update time from the newest edit', () => {
+    expect(feed.updated).toEqual(new Date('2024-03-11T08:15:30Z'))
+  })
+
+  it('falls back to the page creation time without dated posts', () => {
+    expect(pageFeed(page, [], { origin: '', ownerUid: 'o' }).updated).toEqual(page.createdAt)
+  })
+
+  it('caps the number of items', () => {
+    const many = Array.from({ length: FEED_LIMIT + 5 }, (_, i) => ({ id: `p${i}`, content: `Post ${i}`, timestamp: new Date(0) }))
+    expect(pageFeed(page, many, { origin: '', ownerUid: 'o' }).items).toHaveLength(FEED_LIMIT)
+  })
+
+  it('sanitizes markdown before it goes into the feed', () => {
+    expect(feed.items[0].html).not.toContain('<script>')
+  })
+
+  it('produces valid JSON', () => {
+    expect(() => JSON.parse(buildJsonFeed(feed))).not.toThrow()
+  })
+})
+
+describe('escapeXml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+  })
+
+  it('drops characters XML 1.0 does not allow', () => {
+    expect(escapeXml('a\u0000b\u0008c\u000Bd\uFFFEe\tf\ng')).toBe('abcde\tf\ng')
+  })
+
+  it('handles missing values', () => {
+    expect(escapeXml(null)).toBe('')
+    expect(escapeXml(undefined)).toBe('')
+  })
+})
+
+describe('postTitle', () => {
+  it('uses the first line without markdown punctuation', () => {
+    expect(postTitle('\n## Hello [world](https://x.y) **now**\nmore')).toBe('Hello world now')
+  })
+
+  it('shortens long lines', () => {
+    expect(postTitle('x'.repeat(100), 10)).toBe(`${'x'.repeat(9)}…`)
+  })
+})
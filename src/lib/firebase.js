@@ -0,0 +1,73 @@
+import { initializeApp, getApps, deleteApp } from 'firebase/app'
+import { getAuth, connectAuthEmulator } from 'firebase/auth'
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore'
+import { getStorage, connectStorageEmulator } from 'firebase/storage'
+
+// localStorage keys shared by Selphi's Settings and the /test diagnostics page
+export const SETTINGS_KEYS = {
+  config: 'selphi_firebase_config',
+  token: '__initial_auth_token',
+  appId: '__app_id',
+  emulators: 'selphi_use_emulators',
+}
+
+export const REQUIRED_CONFIG_KEYS = ['apiKey', 'authDomain', 'projectId']
+
+// Same ports as firebase.json
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 }
+export const EMULATOR_HOST = import.meta.env.VITE_EMULATOR_HOST || 'localhost'
+export const ENV_EMULATORS = import.meta.env.VITE_USE_EMULATORS === 'true'
+
+// Emulators accept any "demo-" project without credentials, so they work before a config is saved
+export const EMULATOR_DEMO_CONFIG = { apiKey: 'demo-key', authDomain: 'localhost', projectId: 'demo-selphi', storageBucket: 'demo-selphi.appspot.com' }
+
+// Reasons a config cannot be used; empty when it is valid
+export function configErrors(input) {
+  if (!input) return ['No config saved']
+  let obj
+  try {
+    obj = typeof input === 'string' ? JSON.parse(input) : input
+  } catch (e) {
+    return [`Not valid JSON: ${e.message}`]
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return ['Config must be a JSON object']
+  return REQUIRED_CONFIG_KEYS.filter(k => !obj[k]).map(k => `Missing "${k}"`)
+}
+
+export function parseFirebaseConfig(input) {
+  if (configErrors(input).length) return null
+  return typeof input === 'string' ? JSON.parse(input) : input
+}
+
+// An empty stored value counts as unset, so the build's VITE_* defaults apply. Older
+// versions saved every setting on first load, before anything had been entered.
+export function readSetting(key, fallback = '') {
+  try {
+    const item = window.localStorage.getItem(key)
+    const value = item ? JSON.parse(item) : null
+    return value === null || value === '' ? fallback : value
+  } catch {
+    return fallback
+  }
+}
+
+// Apps are looked up by name, so each profile gets its own app, auth session and Firestore
+// instance. Emulators can only be attached before first use, so each instance is connected
+// once and switching modes needs a reload
+export function initFirebase(config, { emulators = false, name = '[DEFAULT]' } = {}) {
+  const app = getApps().find(a => a.name === name) || initializeApp(config, name)
+  const auth = getAuth(app)
+  const db = getFirestore(app)
+  const storage = config.storageBucket ? getStorage(app) : null
+  if (emulators && !auth.emulatorConfig) {
+    connectAuthEmulator(auth, `http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`, { disableWarnings: true })
+    connectFirestoreEmulator(db, EMULATOR_HOST, EMULATOR_PORTS.firestore)
+    if (storage) connectStorageEmulator(storage, EMULATOR_HOST, EMULATOR_PORTS.storage)
+  }
+  return { app, auth, db, storage }
+}
+
+// Deleting the app terminates its auth and Firestore instances; the name is free again at once
+export function teardownFirebase({ app }) {
+  return deleteApp(app).catch(() => {})
+}
@@ -0,0 +1,39 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest'
+import { configErrors, readSetting } from './firebase'
+
+beforeEach(() => window.localStorage.clear())
+
+describe('readSetting', () => {
+  it('falls back when nothing or an empty value is stored', () => {
+    expect(readSetting('k', 'env')).toBe('env')
+    window.localStorage.setItem('k', '""')
+    expect(readSetting('k', 'env')).toBe('env')
+    window.localStorage.setItem('k', 'null')
+    expect(readSetting('k', 'env')).toBe('env')
+  })
+
+  it('returns what the user saved, including false', () => {
+    window.localStorage.setItem('k', '"mine"')
+    expect(readSetting('k', 'env')).toBe('mine')
+    window.localStorage.setItem('k', 'false')
+    expect(readSetting('k', true)).toBe(false)
+    window.localStorage.setItem('k', '[]')
+    expect(readSetting('k', null)).toEqual([])
+  })
+
+  it('falls back on values that are not JSON', () => {
+    window.localStorage.setItem('k', '{oops')
+    expect(readSetting('k', 'env')).toBe('env')
+  })
+})
+
+describe('configErrors', () => {
+  it('names what is missing', () => {
+    expect(configErrors('')).toEqual(['No config saved'])
+    expect(configErrors('[]')).toEqual(['Config must be a JSON object'])
+    expect(configErrors({ apiKey: 'k' })).toEqual(['Missing "authDomain"', 'Missing "projectId"'])
+    expect(configErrors('{"apiKey":"k","authDomain":"d","projectId":"p"}')).toEqual([])
+    expect(configErrors('{')[0]).toMatch(/^Not valid JSON/)
+  })
+})
@@ -0,0 +1,83 @@
+import { refData, refId, otherPageIds } from './crossPost'
+import { nextOrder } from './widgetLayout'
+
+// Revisions live in a `revisions` subcollection under each post and widget.
+// Each one holds the document's user-facing fields as they were *before* a
+// change, so the live document is always the newest version and a document
+// that was never edited has no history at all. Layout moves are not recorded.
+// Publishing or rescheduling a post and restoring it from the trash leave a
+// revision too, so the history shows when a post went out or came back.
+//
+// Deleting a post or widget moves it whole into the `trash` collection under
+// its own id, with `trashedFrom` naming the collection it came from. Its
+// subcollections (revisions, reactions, comments, votes) stay where they are
+// until the trash item is purged, so restoring brings everything back.
+
+export const HISTORY_FIELDS = {
+  feed_posts: ['content', 'attachments', 'tags'],
+  widgets: ['type', 'content'],
+}
+
+export const TRASH_DAYS = [7, 30, 90]
+export const DEFAULT_TRASH_DAYS = 30
+
+export const revisionsPath = (path, id) => `${path}/${id}/revisions`
+
+export function snapshot(path, doc) {
+  const out = {}
+  for (const k of HISTORY_FIELDS[path]) if (doc[k] !== undefined) out[k] = doc[k]
+  return out
+}
+
+export const sameSnapshot = (path, a, b) => JSON.stringify(snapshot(path, a)) === JSON.stringify(snapshot(path, b))
+
+// Schedule changes leave the text alone, so their revisions keep when the post was due
+const SCHEDULE_ACTIONS = ['publish', 'reschedule']
+
+// Records `doc` as it stood before `action` ('edit', 'restore', 'publish', 'reschedule', 'untrash') changed it
+export const revisionOp = (store, path, doc, action) => {
+  const sub = revisionsPath(path, doc.id)
+  const due = SCHEDULE_ACTIONS.includes(action) && doc.timestamp ? { dueAt: doc.timestamp } : {}
+  return { type: 'set', path: sub, id: store.newId(sub), data: { action, at: store.now(), data: snapshot(path, doc), ...due } }
+}
+
+export const revisionDeleteOps = async (store, path, id) => {
+  const sub = revisionsPath(path, id)
+  return (await store.list(sub)).map(r => ({ type: 'delete', path: sub, id: r.id }))
+}
+
+// Trash docs are the original fields at the top level, so dates convert like any
+// other doc. A post opened through a cross-post reference sheds that reference's fields.
+export const toTrash = (path, doc) => {
+  const { id, ref: _ref, refId: _refId, originPageId, ...data } = doc
+  return { id, ...data, pageId: originPageId || data.pageId, trashedFrom: path }
+}
+
+export const trashOps = (store, path, doc) => {
+  const { id, ...data } = toTrash(path, doc)
+  return [
+    { type: 'set', path: 'trash', id, data: { ...data, deletedAt: store.now() } },
+    { type: 'delete', path, id },
+  ]
+}
+
+// Cross-post references come back only for pages in `livePageIds`. A widget goes
+// to the end of its panel among `widgets`, since the others may have moved since.
+export function restoreOps(item, livePageIds, widgets = []) {
+  const { id, trashedFrom, deletedAt, ...data } = item
+  const doc = { ...data }
+  if (trashedFrom === 'widgets') doc.order = nextOrder(widgets.filter(w => w.pageId === doc.pageId), doc.panelLocation)
+  if (doc.pageIds) {
+    doc.pageIds = doc.pageIds.filter(p => livePageIds.has(p))
+    if (doc.pageIds.length < 2) delete doc.pageIds
+  }
+  return [
+    { type: 'set', path: trashedFrom, id, data: doc },
+    ...otherPageIds(doc).map(pageId => ({ type: 'set', path: 'feed_posts', id: refId(id, pageId), data: refData(doc, id, pageId) })),
+    { type: 'delete', path: 'trash', id },
+  ]
+}
+
+export const trashExpiresAt = (item, days) => (
+  item.deletedAt ? new Date(item.deletedAt.getTime() + days * 86400000) : null
+)
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { revisionOp, restoreOps, snapshot } from './history'
+
+const store = { newId: (path) => `${path}#1`, now: () => 'NOW' }
+const due = new Date('2030-05-01T12:00:00Z')
+const post = { id: 'p1', pageId: 'a', content: 'Hello', tags: ['x'], timestamp: due, scheduled: true, userId: 'u' }
+
+describe('revisionOp', () => {
+  it('records the user-facing fields before an edit', () => {
+    expect(revisionOp(store, 'feed_posts', post, 'edit')).toEqual({
+      type: 'set',
+      path: 'feed_posts/p1/revisions',
+      id: 'feed_posts/p1/revisions#1',
+      data: { action: 'edit', at: 'NOW', data: { content: 'Hello', tags: ['x'] } },
+    })
+  })
+
+  it('keeps when the post was due for schedule changes', () => {
+    expect(revisionOp(store, 'feed_posts', post, 'publish').data).toEqual({ action: 'publish', at: 'NOW', data: snapshot('feed_posts', post), dueAt: due })
+    expect(revisionOp(store, 'feed_posts', post, 'reschedule').data.dueAt).toBe(due)
+    expect(revisionOp(store, 'feed_posts', post, 'untrash').data).not.toHaveProperty('dueAt')
+  })
+
+  it('records a trashed widget under the collection it came from', () => {
+    const item = { id: 'w1', pageId: 'a', type: 'text', content: 'Hi', trashedFrom: 'widgets', deletedAt: new Date() }
+    expect(revisionOp(store, item.trashedFrom, item, 'untrash')).toMatchObject({ path: 'widgets/w1/revisions', data: { action: 'untrash', data: { type: 'text', content: 'Hi' } } })
+  })
+})
+
+describe('restoreOps', () => {
+  it('puts the item back and drops pages that are gone', () => {
+    const item = { ...post, pageIds: ['a', 'b', 'gone'], trashedFrom: 'feed_posts', deletedAt: new Date() }
+    const ops = restoreOps(item, new Set(['a', 'b']))
+    expect(ops[0]).toEqual({ type: 'set', path: 'feed_posts', id: 'p1', data: expect.objectContaining({ pageIds: ['a', 'b'] }) })
+    expect(ops[0].data).not.toHaveProperty('trashedFrom')
+    expect(ops.at(-1)).toEqual({ type: 'delete', path: 'trash', id: 'p1' })
+  })
+
+  it('puts a restored widget at the end of its panel', () => {
+    const widgets = [
+      { id: 'a', pageId: 'p', panelLocation: 'left', order: 0 },
+      { id: 'b', pageId: 'p', panelLocation: 'left', order: 1 },
+      { id: 'c', pageId: 'p', panelLocation: 'right', order: 5 },
+      { id: 'd', pageId: 'other', panelLocation: 'left', order: 9 },
+    ]
+    const item = { id: 'w', pageId: 'p', panelLocation: 'left', order: 1, type: 'text', content: 'Hi', trashedFrom: 'widgets', deletedAt: new Date() }
+    expect(restoreOps(item, new Set(['p']), widgets)[0].data.order).toBe(2)
+    expect(restoreOps({ ...item, panelLocation: 'right' }, new Set(['p']), widgets)[0].data.order).toBe(6)
+    expect(restoreOps(item, new Set(['p']))[0].data.order).toBe(0)
+  })
+})
@@ -0,0 +1,27 @@
+// Shrinks an image file to fit within maxSize px on its longest side.
+// GIFs are passed through untouched so animation survives.
+export async function prepareImage(file, maxSize = 1600, quality = 0.85) {
+  if (file.type === 'image/gif') {
+    const { width, height } = await createImageBitmap(file)
+    return { blob: file, width, height }
+  }
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+  const width = Math.round(bitmap.width * scale)
+  const height = Math.round(bitmap.height * scale)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/webp', quality))
+  return { blob: blob || file, width, height }
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
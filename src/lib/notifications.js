@@ -0,0 +1,35 @@
+// Notifications live in the recipient's own `notifications` collection. With no
+// server in between, whoever causes one writes it: visitors for comments,
+// reactions and follows (the rules only let them create unread items signed
+// with their own uid), the owner's client for posts going live and failed syncs.
+// Ids are deterministic where repeating the event should not repeat the item.
+
+export const BROWSER_ALERTS_KEY = 'selphi_browser_notifications'
+
+// The rules cap names at 100 characters
+const actor = (viewer) => ({ actorId: viewer.uid, ...(viewer.displayName ? { actorName: viewer.displayName.slice(0, 100) } : {}) })
+
+// Best effort: a missed notification must never fail the action that caused it
+const write = (store, id, data) => store.set('notifications', id, { ...data, read: false, createdAt: store.now() }).catch(() => {})
+
+export const notifyComment = (store, viewer, pageId, postId, text) => (
+  write(store, store.newId('notifications'), { kind: 'comment', ...actor(viewer), pageId, postId, text: text.slice(0, 200) })
+)
+
+export const notifyReaction = (store, viewer, pageId, postId, key) => (
+  write(store, `reaction_${postId}_${viewer.uid}_${key}`, { kind: 'reaction', ...actor(viewer), pageId, postId, text: key })
+)
+
+export const notifyFollower = (store, viewer, pageId) => (
+  write(store, `follower_${viewer.uid}_${pageId}`, { kind: 'follower', ...actor(viewer), pageId })
+)
+
+// Ops for the owner's own client: the post leaves the scheduled queue as it is announced
+export const publishedOps = (store, post) => [
+  { type: 'set', path: 'notifications', id: `published_${post.id}`, data: { kind: 'published', pageId: post.pageId, postId: post.id, text: (post.content || '').slice(0, 200), read: false, createdAt: store.now() } },
+  { type: 'update', path: 'feed_posts', id: post.id, data: { scheduled: false } },
+]
+
+export const notifySyncFailed = (store, entry) => (
+  write(store, `sync_${entry.id}`, { kind: 'sync_failed', text: entry.label || 'A change', error: entry.error || '' })
+)
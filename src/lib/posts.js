@@ -0,0 +1,49 @@
+import { marked } from 'marked'
+import DOMPurify from 'dompurify'
+import { resolveEmbed } from './embeds'
+
+// feed_posts documents are versioned:
+//   v1 (no `v` field): { content } as plain text
+//   v2: { v: 2, format: 'markdown', content, attachments: [{ type: 'image', url, path, name, width, height }] }
+//   `shared: true` on an attachment means a duplicated page's post uses the same file
+export const POST_VERSION = 2
+
+export function normalizePost(p) {
+  const v = p.v || 1
+  return { ...p, v, format: v >= 2 ? p.format || 'markdown' : 'text', attachments: p.attachments || [], tags: p.tags || extractTags(p.content) }
+}
+
+// A # only starts a tag at a word boundary, so URL fragments and "C#" are left alone
+const TAG_RE = /(^|[^\p{L}\p{N}_/&#])#([\p{L}\p{N}_][\p{L}\p{N}_-]{0,49})/gu
+
+// Lowercased, de-duplicated hashtags; stored on the post as `tags` when it is written
+export function extractTags(content) {
+  const tags = [...(content || '').matchAll(TAG_RE)].map(m => m[2].toLowerCase().replace(/-+$/, ''))
+  return [...new Set(tags)]
+}
+
+marked.setOptions({ gfm: true, breaks: true })
+
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank')
+    node.setAttribute('rel', 'noopener noreferrer nofollow')
+  }
+})
+
+// Images only arrive as attachments, so inline <img> is dropped along with anything DOMPurify rejects
+export function renderMarkdown(content) {
+  return DOMPurify.sanitize(marked.parse(content || ''), { FORBID_TAGS: ['img', 'style'], FORBID_ATTR: ['style'] })
+}
+
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi
+
+export function extractUrls(content, limit = 3) {
+  const found = (content || '').match(URL_RE) || []
+  const urls = found.map(u => u.replace(/[)\].,;:!?*_]+$/, ''))
+  return [...new Set(urls)].slice(0, limit)
+}
+
+export function linkPreviews(content) {
+  return extractUrls(content).map(resolveEmbed).filter(Boolean)
+}
@@ -0,0 +1,68 @@
+import { configErrors } from './firebase'
+
+// Named sets of connection settings (config, token, appId). The active
+// profile's values stay under the single SETTINGS_KEYS that the app and /test
+// read; the stored list only catches up with them through syncActive().
+
+export const PROFILE_KEYS = {
+  list: 'selphi_profiles',
+  active: 'selphi_active_profile',
+}
+
+export const DEFAULT_PROFILE_ID = 'default'
+export const PROFILE_FORMAT = 'selphi-profiles'
+export const PROFILE_VERSION = 1
+
+export const newProfileId = () => Math.random().toString(36).slice(2, 10)
+
+// The default profile keeps Firebase's default app name so an existing guest session survives
+export const profileAppName = (id) => (id === DEFAULT_PROFILE_ID ? '[DEFAULT]' : `selphi-${id}`)
+
+const blank = (id, name) => ({ id, name, config: '', token: '', appId: '' })
+
+// The list with the live settings written into the active profile, which is created if missing
+export function syncActive(profiles, activeId, values) {
+  const list = profiles.some(p => p.id === activeId) ? profiles : [blank(activeId, activeId === DEFAULT_PROFILE_ID ? 'Default' : 'Profile'), ...profiles]
+  return list.map(p => (p.id === activeId ? { ...p, ...values } : p))
+}
+
+// "Staging" -> "Staging (2)" when the name is taken
+export function uniqueName(name, profiles) {
+  const taken = new Set(profiles.map(p => p.name.toLowerCase()))
+  const wanted = name.trim() || 'Profile'
+  if (!taken.has(wanted.toLowerCase())) return wanted
+  const base = wanted.replace(/ \(\d+\)$/, '')
+  let n = 2
+  while (taken.has(`${base} (${n})`.toLowerCase())) n++
+  return `${base} (${n})`
+}
+
+export const createProfile = (profiles, name = 'Profile') => blank(newProfileId(), uniqueName(name, profiles))
+
+// Tokens sign straight into an account, so they only leave the browser when asked for
+export function exportProfiles(profiles, { tokens = false } = {}) {
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles.map(p => ({ name: p.name, config: p.config, appId: p.appId, ...(tokens && p.token ? { token: p.token } : {}) })),
+  }
+}
+
+// Returns { profiles, errors }; profiles get fresh ids and names that do not clash with `existing`
+export function parseProfiles(data, existing) {
+  if (!data || data.format !== PROFILE_FORMAT || !Array.isArray(data.profiles)) return { profiles: [], errors: ['Not a Selphi profiles file'] }
+  if (data.version > PROFILE_VERSION) return { profiles: [], errors: [`Made by a newer version of Selphi (v${data.version})`] }
+  const errors = []
+  const profiles = []
+  data.profiles.forEach((p, i) => {
+    const label = typeof p?.name === 'string' && p.name.trim() ? `"${p.name.trim()}"` : `Profile ${i + 1}`
+    if (!p || typeof p !== 'object') return errors.push(`${label}: not an object`)
+    const config = !p.config ? '' : typeof p.config === 'string' ? p.config : JSON.stringify(p.config, null, 2)
+    const problems = config ? configErrors(config) : []
+    if (problems.length) return errors.push(`${label}: ${problems.join(', ')}`)
+    const profile = createProfile([...existing, ...profiles], typeof p.name === 'string' ? p.name : '')
+    profiles.push({ ...profile, config, appId: typeof p.appId === 'string' ? p.appId : '', token: typeof p.token === 'string' ? p.token : '' })
+  })
+  return { profiles, errors }
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_PROFILE_ID, PROFILE_FORMAT, PROFILE_VERSION, profileAppName, syncActive, uniqueName, createProfile, exportProfiles, parseProfiles } from './profiles'
+
+const CONFIG = JSON.stringify({ apiKey: 'key', authDomain: 'demo.firebaseapp.com', projectId: 'demo' })
+const profile = (id, name, extra = {}) => ({ id, name, config: '', token: '', appId: '', ...extra })
+
+describe('profileAppName', () => {
+  it('keeps the default app for the default profile', () => {
+    expect(profileAppName(DEFAULT_PROFILE_ID)).toBe('[DEFAULT]')
+    expect(profileAppName('abc123')).toBe('selphi-abc123')
+  })
+})
+
+describe('syncActive', () => {
+  it('writes the live settings into the active profile only', () => {
+    const list = [profile('a', 'One', { appId: 'old' }), profile('b', 'Two', { appId: 'other' })]
+    expect(syncActive(list, 'a', { appId: 'new', token: 't' })).toEqual([
+      profile('a', 'One', { appId: 'new', token: 't' }),
+      profile('b', 'Two', { appId: 'other' }),
+    ])
+    expect(list[0].appId).toBe('old')
+  })
+
+  it('creates the active profile when the list does not have it', () => {
+    expect(syncActive([], DEFAULT_PROFILE_ID, { appId: 'x' })).toEqual([profile(DEFAULT_PROFILE_ID, 'Default', { appId: 'x' })])
+    expect(syncActive([profile('a', 'One')], 'zz', {})).toEqual([profile('zz', 'Profile'), profile('a', 'One')])
+  })
+})
+
+describe('uniqueName', () => {
+  const list = [profile('a', 'Staging'), profile('b', 'staging (2)'), profile('c', 'Prod')]
+
+  it('keeps a free name and falls back to "Profile"', () => {
+    expect(uniqueName('  Local ', list)).toBe('Local')
+    expect(uniqueName('   ', list)).toBe('Profile')
+  })
+
+  it('numbers taken names, ignoring case', () => {
+    expect(uniqueName('STAGING', list)).toBe('STAGING (3)')
+    expect(uniqueName('Staging (2)', list)).toBe('Staging (3)')
+    expect(uniqueName('Prod', list)).toBe('Prod (2)')
+  })
+
+  it('gives new profiles fresh ids and blank settings', () => {
+    const made = createProfile(list, 'Prod')
+    expect(made).toMatchObject({ name: 'Prod (2)', config: '', token: '', appId: '' })
+    expect(made.id).not.toBe(createProfile(list).id)
+  })
+})
+
+describe('exportProfiles', () => {
+  const list = [profile('a', 'One', { config: CONFIG, appId: 'app', token: 'secret' }), profile('b', 'Two')]
+
+  it('leaves ids and tokens out by default', () => {
+    const data = exportProfiles(list)
+    expect(data).toMatchObject({ format: PROFILE_FORMAT, version: PROFILE_VERSION })
+    expect(Date.parse(data.exportedAt)).not.toBeNaN()
+    expect(data.profiles).toEqual([{ name: 'One', config: CONFIG, appId: 'app' }, { name: 'Two', config: '', appId: '' }])
+  })
+
+  it('includes tokens when asked', () => {
+    expect(exportProfiles(list, { tokens: true }).profiles).toEqual([{ name: 'One', config: CONFIG, appId: 'app', token: 'secret' }, { name: 'Two', config: '', appId: '' }])
+  })
+})
+
+describe('parseProfiles', () => {
+  const file = (profiles, extra = {}) => ({ format: PROFILE_FORMAT, version: PROFILE_VERSION, profiles, ...extra })
+
+  it('round-trips an export under names that do not clash', () => {
+    const existing = [profile('a', 'One')]
+    const { profiles, errors } = parseProfiles(exportProfiles([profile('x', 'One', { config: CONFIG, appId: 'app', token: 't' })], { tokens: true }), existing)
+    expect(errors).toEqual([])
+    expect(profiles).toEqual([{ id: expect.any(String), name: 'One (2)', config: CONFIG, appId: 'app', token: 't' }])
+    expect(profiles[0].id).not.toBe('x')
+  })
+
+  it('accepts a config object and names clashes inside the file apart', () => {
+    const { profiles } = parseProfiles(file([{ name: 'Dev', config: JSON.parse(CONFIG) }, { name: 'Dev' }]), [])
+    expect(profiles.map(p => p.name)).toEqual(['Dev', 'Dev (2)'])
+    expect(JSON.parse(profiles[0].config)).toEqual(JSON.parse(CONFIG))
+    expect(profiles[1]).toMatchObject({ config: '', appId: '', token: '' })
+  })
+
+  it('skips broken entries and says why', () => {
+    const { profiles, errors } = parseProfiles(file([null, { name: 'Bad', config: '{"apiKey":"k"}' }, { config: 'nope' }, { name: 'Good', appId: 7 }]), [])
+    expect(profiles).toEqual([expect.objectContaining({ name: 'Good', appId: '' })])
+    expect(errors).toEqual([
+      'Profile 1: not an object',
+      '"Bad": Missing "authDomain", Missing "projectId"',
+      expect.stringMatching(/^Profile 3: Not valid JSON/),
+    ])
+  })
+
+  it('refuses other files and newer versions', () => {
+    expect(parseProfiles({ format: 'selphi-archive', profiles: [] }, [])).toEqual({ profiles: [], errors: ['Not a Selphi profiles file'] })
+    expect(parseProfiles(null, [])).toEqual({ profiles: [], errors: ['Not a Selphi profiles file'] })
+    expect(parseProfiles(file([], { version: PROFILE_VERSION + 1 }), []).errors).toEqual([`Made by a newer version of Selphi (v${PROFILE_VERSION + 1})`])
+  })
+})
@@ -0,0 +1,7 @@
+export const pageUrl = (uid, pageId) => `/u/${uid}/p/${pageId}`
+
+// Accepts a full link or just the path; returns { uid, pageId } or null
+export function parsePageUrl(input) {
+  const m = /\/u\/([^/?#\s]+)\/p\/([^/?#\s]+)/.exec(String(input || ''))
+  return m ? { uid: decodeURIComponent(m[1]), pageId: decodeURIComponent(m[2]) } : null
+}
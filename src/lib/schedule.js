@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react'
+
+// Scheduled posts are ordinary feed_posts whose `timestamp` is the publish time,
+// flagged `scheduled: true`. Nothing flips them live on a server: the rules keep
+// them from other viewers until due, and the owner's client hides posts from the
+// future and re-renders when the next one comes due.
+// Drafts never reach feed_posts; they live in post_drafts, which only the owner can read.
+
+// Pending server timestamps read back as estimates, so a missing value is a post being written now
+export const isLive = (post, now) => !post.timestamp || post.timestamp <= now
+
+export function nextPublishAt(posts, now) {
+  let next = null
+  for (const p of posts) if (p.timestamp > now && (!next || p.timestamp < next)) next = p.timestamp
+  return next
+}
+
+// <input type="datetime-local"> works in the browser's zone without an offset,
+// and `new Date('YYYY-MM-DDTHH:mm')` parses that form as local time
+export function toLocalInput(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+export const fromLocalInput = (value) => (value ? new Date(value) : null)
+
+// dateStyle/timeStyle cannot be combined with timeZoneName, hence the spelled-out fields
+const WHEN_FORMAT = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }
+
+export const formatWhen = (date, timeZone) => new Intl.DateTimeFormat(undefined, { ...WHEN_FORMAT, timeZone }).format(date)
+
+// setTimeout overflows past ~24.8 days; the clock just wakes up and re-arms
+const MAX_DELAY = 2 ** 31 - 1
+
+// Other viewers may only read posts whose timestamp has passed (see firestore.rules), so
+// their queries carry a `timestamp <= bound` the rules can check against the server clock.
+// The bound trails this device's clock by CLOCK_SKEW so a clock running a little fast is
+// not refused, and moves every LIVE_REFRESH to let new and newly due posts in.
+export const CLOCK_SKEW = 60 * 1000
+export const LIVE_REFRESH = 30 * 1000
+
+const liveBound = () => new Date(Date.now() - CLOCK_SKEW)
+
+// null when `enabled` is false, for the owner, who reads everything unbounded
+export function useLiveBound(enabled = true) {
+  const [bound, setBound] = useState(liveBound)
+  useEffect(() => {
+    if (!enabled) return
+    setBound(liveBound())
+    const timer = setInterval(() => setBound(liveBound()), LIVE_REFRESH)
+    return () => clearInterval(timer)
+  }, [enabled])
+  return enabled ? bound : null
+}
+
+// Current time that ticks over when the next of `posts` is due to go live
+export function useNow(posts) {
+  const [now, setNow] = useState(() => new Date())
+  const next = nextPublishAt(posts, now)
+  useEffect(() => {
+    if (!next) return
+    const timer = setTimeout(() => setNow(new Date()), Math.min(next - Date.now() + 50, MAX_DELAY))
+    return () => clearTimeout(timer)
+  }, [next?.getTime(), now])
+  return now
+}
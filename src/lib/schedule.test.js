@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { isLive, nextPublishAt, toLocalInput, fromLocalInput, useNow, useLiveBound, CLOCK_SKEW, LIVE_REFRESH } from './schedule'
+
+const NOW = new Date('2024-03-10T12:00:00Z')
+const minutes = (n) => new Date(NOW.getTime() + n * 60000)
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(NOW)
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('isLive', () => {
+  it('treats past and present posts as live', () => {
+    expect(isLive({ timestamp: minutes(-5) }, NOW)).toBe(true)
+    expect(isLive({ timestamp: NOW }, NOW)).toBe(true)
+  })
+
+  it('holds back posts from the future', () => {
+    expect(isLive({ timestamp: minutes(1) }, NOW)).toBe(false)
+  })
+
+  it('counts a post without a timestamp as being written now', () => {
+    expect(isLive({}, NOW)).toBe(true)
+  })
+})
+
+describe('nextPublishAt', () => {
+  it('picks the earliest future timestamp', () => {
+    const posts = [{ timestamp: minutes(-1) }, { timestamp: minutes(30) }, { timestamp: minutes(10) }, {}]
+    expect(nextPublishAt(posts, NOW)).toEqual(minutes(10))
+  })
+
+  it('is null when nothing is scheduled', () => {
+    expect(nextPublishAt([{ timestamp: minutes(-1) }], NOW)).toBeNull()
+  })
+})
+
+describe('toLocalInput / fromLocalInput', () => {
+  it('runs in the fixed test zone', () => {
+    expect(Intl.DateTimeFormat().resolvedOptions().timeZone).toBe('America/New_York')
+  })
+
+  it('formats in local time without an offset', () => {
+    expect(toLocalInput(new Date('2024-01-15T17:30:00Z'))).toBe('2024-01-15T12:30')
+    expect(toLocalInput(new Date('2024-07-15T17:30:00Z'))).toBe('2024-07-15T13:30')
+  })
+
+  it('parses back to the same instant', () => {
+    const date = new Date('2024-07-15T17:30:00Z')
+    expect(fromLocalInput(toLocalInput(date))).toEqual(date)
+  })
+
+  it('handles the hours around the daylight saving switch', () => {
+    expect(toLocalInput(new Date('2024-03-10T06:59:00Z'))).toBe('2024-03-10T01:59')
+    expect(toLocalInput(new Date('2024-03-10T07:00:00Z'))).toBe('2024-03-10T03:00')
+    expect(fromLocalInput('2024-03-10T03:00')).toEqual(new Date('2024-03-10T07:00:00Z'))
+  })
+
+  it('maps an empty input to no date', () => {
+    expect(fromLocalInput('')).toBeNull()
+  })
+})
+
+describe('useNow', () => {
+  it('ticks over when the next post is due', () => {
+    const posts = [{ timestamp: minutes(10) }]
+    const { result } = renderHook(() => useNow(posts))
+    expect(result.current).toEqual(NOW)
+    expect(isLive(posts[0], result.current)).toBe(false)
+
+    act(() => { vi.advanceTimersByTime(10 * 60000 - 1000) })
+    expect(isLive(posts[0], result.current)).toBe(false)
+
+    act(() => { vi.advanceTimersByTime(1000 + 50) })
+    expect(isLive(posts[0], result.current)).toBe(true)
+  })
+
+  it('re-arms past the setTimeout limit for posts far ahead', () => {
+    const posts = [{ timestamp: minutes(60 * 24 * 40) }]
+    const { result } = renderHook(() => useNow(posts))
+    act(() => { vi.advanceTimersByTime(2 ** 31 - 1) })
+    expect(isLive(posts[0], result.current)).toBe(false)
+    act(() => { vi.advanceTimersByTime(60 * 60000 * 24 * 40 - (2 ** 31 - 1) + 50) })
+    expect(isLive(posts[0], result.current)).toBe(true)
+  })
+
+  it('sets no timer without scheduled posts', () => {
+    renderHook(() => useNow([{ timestamp: minutes(-1) }]))
+    expect(vi.getTimerCount()).toBe(0)
+  })
+})
+
+describe('useLiveBound', () => {
+  it('trails the clock and moves forward', () => {
+    const { result } = renderHook(() => useLiveBound())
+    expect(result.current).toEqual(new Date(NOW.getTime() - CLOCK_SKEW))
+    act(() => { vi.advanceTimersByTime(LIVE_REFRESH) })
+    expect(result.current).toEqual(new Date(NOW.getTime() + LIVE_REFRESH - CLOCK_SKEW))
+  })
+
+  it('is null when disabled', () => {
+    const { result } = renderHook(() => useLiveBound(false))
+    expect(result.current).toBeNull()
+    expect(vi.getTimerCount()).toBe(0)
+  })
+})
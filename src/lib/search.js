@@ -0,0 +1,65 @@
+import { normalizePost } from './posts'
+
+// Client-side index over whatever the snapshot listeners have delivered. Entries are
+// rebuilt from plain arrays, so the caller only has to memoize on the live lists.
+export function buildSearchIndex({ pages = [], widgets = [], posts = [] }) {
+  const pageNames = new Map(pages.map(p => [p.id, p.name]))
+  const entry = (kind, doc, pageId, title, text, tags = []) => ({
+    kind,
+    id: doc.id,
+    pageId,
+    pageName: pageNames.get(pageId) || '',
+    title,
+    text,
+    tags,
+    date: doc.timestamp || doc.createdAt || null,
+    haystack: `${title}\n${text}`.toLowerCase(),
+  })
+  return [
+    ...pages.map(p => entry('page', p, p.id, p.name, '')),
+    ...widgets.filter(w => pageNames.has(w.pageId) && w.content).map(w => entry('widget', w, w.pageId, w.type, w.content)),
+    ...posts.filter(p => pageNames.has(p.pageId)).map(p => {
+      const post = normalizePost(p)
+      return entry('post', p, p.pageId, '', post.content || '', post.tags)
+    }),
+  ]
+}
+
+// "#tag" tokens filter on tags; every other word has to appear somewhere in the entry
+export function parseQuery(query) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean)
+  return {
+    tags: words.filter(w => w.startsWith('#') && w.length > 1).map(w => w.slice(1)),
+    terms: words.filter(w => !w.startsWith('#')),
+  }
+}
+
+function snippet(text, term, size = 120) {
+  const flat = text.replace(/\s+/g, ' ').trim()
+  const at = term ? flat.toLowerCase().indexOf(term) : -1
+  const start = Math.max(0, Math.min(at - 30, flat.length - size))
+  const out = flat.slice(start, start + size)
+  return `${start > 0 ? '…' : ''}${out}${start + size < flat.length ? '…' : ''}`
+}
+
+export function searchIndex(index, query, limit = 30) {
+  const { tags, terms } = parseQuery(query)
+  if (!tags.length && !terms.length) return []
+  const results = []
+  for (const e of index) {
+    if (tags.length && !tags.every(t => e.tags.includes(t))) continue
+    if (!terms.every(t => e.haystack.includes(t))) continue
+    const titleHits = terms.filter(t => e.title.toLowerCase().includes(t)).length
+    results.push({ ...e, score: titleHits * 2 + (e.kind === 'page' ? 1 : 0), snippet: snippet(e.text, terms[0]) })
+  }
+  return results
+    .sort((a, b) => b.score - a.score || (b.date || 0) - (a.date || 0))
+    .slice(0, limit)
+}
+
+// Tag -> number of posts, most used first
+export function tagCounts(posts) {
+  const counts = new Map()
+  for (const p of posts) for (const t of normalizePost(p).tags) counts.set(t, (counts.get(t) || 0) + 1)
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+}
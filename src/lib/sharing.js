@@ -0,0 +1,13 @@
+// Who may see a custom page: a share list of uids and the invite codes that let
+// people add themselves to members/. Both live in an owner-only doc next to the
+// page, niche_pages/{pageId}/access/settings, because anyone who can view the
+// page can read the page doc itself.
+
+export const ACCESS_DOC = 'settings'
+
+export const accessPath = (pageId) => `niche_pages/${pageId}/access`
+
+// A change to the access doc, which is created on first use. `patch` holds
+// arrayUnion/arrayRemove values and the write is a merge, so it never depends on
+// having loaded the doc and cannot drop entries it did not name.
+export const accessOp = (store, pageId, patch) => ({ type: 'merge', path: accessPath(pageId), id: ACCESS_DOC, data: patch })
@@ -0,0 +1,30 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { createLocalStore } from '../storage'
+import { ACCESS_DOC, accessOp, accessPath } from './sharing'
+
+const accessOf = async (store, pageId) => (await store.list(accessPath(pageId))).find(d => d.id === ACCESS_DOC)
+
+describe('accessOp', () => {
+  it('keeps existing grants when a change is made before the access doc has loaded', async () => {
+    const store = createLocalStore(`sharing-${Math.random()}`)
+    await store.set(accessPath('p1'), ACCESS_DOC, { sharedWith: ['grace'], inviteCodes: ['code1'] })
+    // The editor's watch has delivered nothing yet, so no local copy of the doc goes in
+    await store.batch([accessOp(store, 'p1', { sharedWith: store.arrayUnion('sam') })])
+    await store.batch([accessOp(store, 'p1', { inviteCodes: store.arrayUnion('code2') })])
+    expect(await accessOf(store, 'p1')).toEqual({ id: ACCESS_DOC, sharedWith: ['grace', 'sam'], inviteCodes: ['code1', 'code2'] })
+    await store.batch([accessOp(store, 'p1', { inviteCodes: store.arrayRemove('code1') })])
+    expect(await accessOf(store, 'p1')).toEqual({ id: ACCESS_DOC, sharedWith: ['grace', 'sam'], inviteCodes: ['code2'] })
+  })
+
+  it('creates the access doc on first use', async () => {
+    const store = createLocalStore(`sharing-${Math.random()}`)
+    await store.batch([accessOp(store, 'p2', { sharedWith: store.arrayUnion('grace') })])
+    expect(await accessOf(store, 'p2')).toEqual({ id: ACCESS_DOC, sharedWith: ['grace'] })
+  })
+
+  it('is a merge, whatever the store', () => {
+    const store = { arrayUnion: (...values) => ({ union: values }) }
+    expect(accessOp(store, 'p1', { sharedWith: store.arrayUnion('x') })).toEqual({ type: 'merge', path: 'niche_pages/p1/access', id: ACCESS_DOC, data: { sharedWith: { union: ['x'] } } })
+  })
+})
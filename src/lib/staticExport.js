@@ -0,0 +1,150 @@
+import { normalizePost, renderMarkdown } from './posts'
+import { normalizeTheme, themePalette, BACKGROUNDS, FONTS } from './theme'
+import { panelList } from './widgetLayout'
+import { escapeXml as esc } from './feeds'
+
+// A niche page as a folder anyone can host: index.html with every style
+// inlined and an assets/ folder holding the images it shows. Nothing is loaded
+// from Firebase or the Spline CDN at view time; a 3D hero becomes its gradient
+// fallback. Output depends only on the inputs and the fetched images (no
+// export time, ids or random names), so the same page exports to the same bytes.
+
+export const STATIC_POST_LIMIT = 50
+
+// Dates render the same wherever the export runs
+export const formatDate = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif', 'image/svg+xml': 'svg' }
+
+// Resolves to { data, ext } or null when the image cannot be fetched, typically because its
+// server sends no CORS headers
+export async function fetchAsset(url) {
+  try {
+    const res = await fetch(url)
+    if (!res.ok) return null
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim()
+    const ext = EXTENSIONS[type] || /\.(\w{2,4})(?:$|[?#])/.exec(new URL(url).pathname)?.[1]?.toLowerCase() || 'bin'
+    return { data: new Uint8Array(await res.arrayBuffer()), ext }
+  } catch {
+    return null
+  }
+}
+
+function stylesheet(theme) {
+  const { accent, gray, contrast } = themePalette(theme)
+  const bg = BACKGROUNDS[theme.background]
+  const vars = [
+    ...Object.entries(accent).map(([s, v]) => `--accent-${s}: ${v};`),
+    ...Object.entries(gray).map(([s, v]) => `--gray-${s}: ${v};`),
+    `--contrast: ${contrast};`,
+  ].join(' ')
+  return `:root { ${vars} color-scheme: ${theme.mode}; }
+* { box-sizing: border-box; }
+body { margin: 0; font-family: '${FONTS[theme.font]}', system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; line-height: 1.5; color: rgb(var(--gray-100)); background-color: rgb(var(--gray-950));${bg.image ? ` background-image: ${bg.image};` : ''}${bg.size ? ` background-size: ${bg.size};` : ''} }
+a { color: rgb(var(--accent-300)); }
+img { max-width: 100%; display: block; border-radius: 0.5rem; }
+.hero { position: relative; height: 14rem; overflow: hidden; }
+.hero img { width: 100%; height: 100%; object-fit: cover; border-radius: 0; }
+.hero-gradient { position: absolute; inset: 0; background: linear-gradient(135deg, rgb(var(--accent-700) / 0.5), rgb(var(--accent-900) / 0.3), rgb(var(--gray-950))); }
+.hero h1 { position: absolute; left: 1.5rem; bottom: 1rem; margin: 0; font-size: 2rem; text-shadow: 0 1px 8px rgb(0 0 0 / 0.5); }
+.title { margin: 0; padding: 1.5rem 1.5rem 0; font-size: 2rem; }
+.layout { display: grid; grid-template-columns: 16rem minmax(0, 1fr) 16rem; gap: 1rem; max-width: 72rem; margin: 0 auto; padding: 1.5rem; }
+.panel, .feed { display: flex; flex-direction: column; gap: 0.75rem; }
+.card { background: rgb(var(--contrast) / 0.05); border: 1px solid rgb(var(--contrast) / 0.1); border-radius: 0.75rem; padding: 1rem; overflow-wrap: anywhere; }
+.label, .meta { font-size: 0.7rem; color: rgb(var(--gray-400)); }
+.label { text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.5rem; }
+.meta { margin-bottom: 0.25rem; }
+.text { white-space: pre-wrap; margin: 0; }
+.grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 0.4rem; margin-top: 0.75rem; }
+.tags { display: flex; flex-wrap: wrap; gap: 0.25rem; margin-top: 0.75rem; padding: 0; list-style: none; }
+.tags li { font-size: 0.75rem; padding: 0.1rem 0.5rem; border-radius: 999px; background: rgb(var(--contrast) / 0.05); color: rgb(var(--accent-300)); }
+.links { list-style: none; padding: 0; margin: 0; display: flex; flex-direction: column; gap: 0.25rem; }
+.content p { margin: 0 0 0.5rem; }
+.content pre, .content code { background: rgb(var(--contrast) / 0.1); border-radius: 0.25rem; }
+.content pre { padding: 0.5rem; overflow: auto; }
+.content blockquote { margin: 0 0 0.5rem; padding-left: 0.75rem; border-left: 2px solid rgb(var(--accent-500) / 0.6); color: rgb(var(--gray-300)); }
+footer { text-align: center; font-size: 0.75rem; color: rgb(var(--gray-500)); padding: 1.5rem; }
+@media (max-width: 900px) { .layout { grid-template-columns: minmax(0, 1fr); } .feed { order: -1; } }
+`
+}
+
+// widgetHtml(widget, helpers) -> { label, html }; helpers are { esc, asset, date, posts, origin }
+function render({ page, widgets, posts, origin, widgetHtml, renderPost }, asset) {
+  const theme = normalizeTheme(page.theme)
+  const hero = theme.hero
+  const helpers = { esc, asset, date: formatDate, posts, origin }
+
+  const widgetCards = (panel) => panelList(widgets, panel).map(w => {
+    const { label, html } = widgetHtml(w, helpers)
+    return `<div class="card"><div class="label">${esc(label)}</div>${html}</div>`
+  }).join('\n')
+
+  const postCards = posts.map(p => {
+    const post = normalizePost(p)
+    const body = post.format === 'markdown' ? renderPost(post.content) : `<p class="text">${esc(post.content)}</p>`
+    const images = post.attachments.length ? `<div class="grid">${post.attachments.map(a => `<img src="${esc(asset(a.url))}" alt="${esc(a.name || '')}"${a.width ? ` width="${a.width}" height="${a.height}"` : ''} loading="lazy">`).join('')}</div>` : ''
+    const tags = post.tags.length ? `<ul class="tags">${post.tags.map(t => `<li>#${esc(t)}</li>`).join('')}</ul>` : ''
+    const meta = p.timestamp ? `<div class="meta"><time datetime="${p.timestamp.toISOString()}">${formatDate(p.timestamp)}</time></div>` : ''
+    return `<article class="card">${meta}<div class="content">${body}</div>${images}${tags}</article>`
+  }).join('\n')
+
+  const header = hero.type === 'image' && hero.imageUrl
+    ? `<header class="hero"><img src="${esc(asset(hero.imageUrl))}" alt=""><h1>${esc(page.name)}</h1></header>`
+    : hero.type === 'none'
+      ? `<header><h1 class="title">${esc(page.name)}</h1></header>`
+      : `<header class="hero"><div class="hero-gradient"></div><h1>${esc(page.name)}</h1></header>`
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Selphi">
+<title>${esc(page.name)}</title>
+<style>
+${stylesheet(theme)}</style>
+</head>
+<body>
+${header}
+<main class="layout">
+<aside class="panel">
+${widgetCards('left')}
+</aside>
+<section class="feed">
+${postCards || '<p class="meta">No posts yet.</p>'}
+</section>
+<aside class="panel">
+${widgetCards('right')}
+</aside>
+</main>
+<footer>Made with Selphi</footer>
+</body>
+</html>
+`
+}
+
+// Returns { files, missing }: files are [{ name, data }] ready for zipFiles, index.html first, then
+// assets in order of appearance; missing lists the image URLs that could not be fetched, which the
+// page still loads from their remote address. `posts` are the live posts to include, newest first,
+// with cross-post references already resolved; `origin` is where links back into Selphi point.
+export async function buildStaticSite({ page, widgets, posts, origin, widgetHtml, renderPost = renderMarkdown }, { loadAsset = fetchAsset } = {}) {
+  const input = { page, widgets, posts: posts.slice(0, STATIC_POST_LIMIT), origin, widgetHtml, renderPost }
+
+  // A first pass only collects the image URLs the page uses
+  const urls = []
+  render(input, url => { if (url && !urls.includes(url)) urls.push(url); return url })
+
+  const loaded = await Promise.all(urls.map(loadAsset))
+  const files = []
+  const local = new Map()
+  loaded.forEach((asset, i) => {
+    if (!asset) return
+    const name = `assets/image-${String(files.length + 1).padStart(3, '0')}.${asset.ext}`
+    files.push({ name, data: asset.data })
+    local.set(urls[i], name)
+  })
+  return {
+    files: [{ name: 'index.html', data: render(input, url => local.get(url) || url) }, ...files],
+    missing: urls.filter(url => !local.has(url)),
+  }
+}
@@ -0,0 +1,77 @@
+// @vitest-environment jsdom
+import { createHash } from 'node:crypto'
+import { describe, expect, it } from 'vitest'
+import { buildStaticSite, formatDate } from './staticExport'
+import { zipFiles, crc32 } from './zip'
+import { widgetStaticHtml } from '../components/widgets'
+import { page, widgets, posts, loadAsset } from './__fixtures__/static/page'
+
+const build = () => buildStaticSite({ page, widgets, posts, origin: 'https://selphi.example', widgetHtml: widgetStaticHtml }, { loadAsset })
+const hex = (bytes) => Buffer.from(bytes).toString('hex').replace(/(.{64})/g, '$1\n')
+const sha256 = (bytes) => createHash('sha256').update(bytes).digest('hex')
+
+describe('buildStaticSite', () => {
+  it('renders the page', async () => {
+    const { files } = await build()
+    await expect(files[0].data).toMatchFileSnapshot('./__fixtures__/static/expected.index.html')
+  })
+
+  it('copies the images it can fetch, numbered in the order they were found', async () => {
+    const { files } = await build()
+    expect(files.map(f => f.name)).toEqual(['index.html', 'assets/image-001.png', 'assets/image-002.jpg', 'assets/image-003.webp'])
+    expect(files[0].data).toContain('src="assets/image-001.png"')
+  })
+
+  it('reports the images it could not fetch', async () => {
+    const { files, missing } = await build()
+    expect(missing).toEqual(['https://img.example.com/broken.png'])
+    expect(files[0].data).toContain('src="https://img.example.com/broken.png"')
+  })
+
+  it('leaves out unsafe and unparsable URLs', async () => {
+    const { files } = await build()
+    expect(files[0].data).not.toContain('javascript:')
+    expect(files[0].data).not.toContain('<script>')
+    expect(files[0].data).toContain('href="https://example.com/about"')
+  })
+
+  it('gives the same bytes every time', async () => {
+    const [a, b] = await Promise.all([build(), build()])
+    expect(sha256(zipFiles(b.files))).toBe(sha256(zipFiles(a.files)))
+  })
+
+  it('zips to a stable archive', async () => {
+    const archive = zipFiles((await build()).files)
+    expect({ size: archive.length, sha256: sha256(archive) }).toMatchSnapshot()
+  })
+})
+
+describe('formatDate', () => {
+  it('uses UTC whatever the local zone', () => {
+    expect(formatDate(new Date('2024-07-01T23:30:00Z'))).toBe('2024-07-01 23:30 UTC')
+  })
+})
+
+describe('zipFiles', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+
+  it('writes stored entries with UTF-8 names and a fixed date', () => {
+    const archive = zipFiles([{ name: 'hello.txt', data: 'Hello' }, { name: 'dir/ü.bin', data: new Uint8Array([0, 1, 2, 255]) }])
+    expect(hex(archive)).toMatchSnapshot()
+  })
+
+  it('lists every entry in the central directory', () => {
+    const archive = zipFiles([{ name: 'a', data: 'x' }, { name: 'b', data: '' }])
+    const view = new DataView(archive.buffer)
+    const end = archive.length - 22
+    expect(view.getUint32(end, true)).toBe(0x06054b50)
+    expect(view.getUint16(end + 10, true)).toBe(2)
+    expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014b50)
+  })
+
+  it('writes an empty archive', () => {
+    expect(zipFiles([])).toHaveLength(22)
+  })
+})
@@ -0,0 +1,101 @@
+import { panelList } from './widgetLayout'
+
+// A template is a page layout without the page: { name, description, theme, widgets }.
+// Built-ins live here; the ones users save are documents in page_templates.
+// Widget content is placeholder text the owner is expected to replace.
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'musician',
+    name: 'Musician',
+    description: 'Latest release, streaming links and tour dates',
+    theme: { accent: '#d946ef', background: 'glow', font: 'manrope' },
+    widgets: [
+      { type: 'image', content: 'https://images.unsplash.com/photo-1511379938547-c1f69419868d?w=800', panelLocation: 'left' },
+      { type: 'text', content: 'New single out now. Replace this with a line about your latest release.', panelLocation: 'left' },
+      { type: 'social_embed', content: 'https://open.spotify.com/', panelLocation: 'left' },
+      { type: 'link', content: 'https://bandcamp.com/', panelLocation: 'right' },
+      { type: 'text', content: 'Tour dates: list upcoming shows here.', panelLocation: 'right' },
+      { type: 'tag_cloud', content: '20', panelLocation: 'right' },
+    ],
+  },
+  {
+    id: 'developer',
+    name: 'Developer portfolio',
+    description: 'About, projects and where to find your code',
+    theme: { accent: '#10b981', background: 'grid', font: 'geist' },
+    widgets: [
+      { type: 'text', content: 'Hi, I build things for the web. Replace this with a short bio.', panelLocation: 'left' },
+      { type: 'link', content: 'https://github.com/', panelLocation: 'left' },
+      { type: 'link', content: 'https://www.linkedin.com/', panelLocation: 'left' },
+      { type: 'text', content: 'Featured projects: one line each, with a link.', panelLocation: 'right' },
+      { type: 'tag_cloud', content: '30', panelLocation: 'right' },
+    ],
+  },
+  {
+    id: 'gamer',
+    name: 'Gamer',
+    description: 'Stream, clips, setup and schedule',
+    theme: { accent: '#f43f5e', background: 'dusk', font: 'ibm-plex' },
+    widgets: [
+      { type: 'social_embed', content: 'https://www.twitch.tv/', panelLocation: 'left' },
+      { type: 'text', content: 'Stream schedule: add your days and times here.', panelLocation: 'left' },
+      { type: 'social_embed', content: 'https://www.youtube.com/', panelLocation: 'right' },
+      { type: 'text', content: 'Setup: list your rig and peripherals.', panelLocation: 'right' },
+      { type: 'link', content: 'https://discord.com/', panelLocation: 'right' },
+    ],
+  },
+]
+
+const widgetLayout = (widgets) => ['left', 'right'].flatMap(panel => (
+  panelList(widgets, panel).map(({ type, content }, order) => ({ type, content, panelLocation: panel, order }))
+))
+
+// Turns an existing page into a saveable template document
+export const captureTemplate = (page, widgets, name) => ({
+  name,
+  description: `Saved from ${page.name}`,
+  theme: page.theme || null,
+  widgets: widgetLayout(widgets),
+})
+
+// Batch ops that create a page and its widgets; `page` is the new page's data
+export function templateOps(template, page, { userId, newId, now }) {
+  const pageId = newId('niche_pages')
+  const ops = [
+    { type: 'set', path: 'niche_pages', id: pageId, data: { ...page, ...(template.theme ? { theme: template.theme } : {}), userId, createdAt: now } },
+    ...widgetLayout(template.widgets).map(w => ({ type: 'set', path: 'widgets', id: newId('widgets'), data: { ...w, userId, pageId, createdAt: now } })),
+  ]
+  return { pageId, ops }
+}
+
+// Copies a page's layout and, when `posts` is given, its posts. Reactions,
+// comments and sharing stay with the original. Copied attachments point at the
+// original files, which both posts then mark `shared` so that deleting either
+// one leaves the files alone while the other still uses them (see unusedFiles).
+// Posts cross-posted in from other pages stay there, and copies are not cross-posted.
+export function duplicateOps(page, { widgets, posts = [], name }, { userId, newId, now }) {
+  const { id, isDefault, createdAt, updatedAt, ...rest } = page
+  const { pageId, ops } = templateOps({ widgets }, { ...rest, name }, { userId, newId, now })
+  for (const { id, attachments, pageIds, ...post } of posts) {
+    if (post.ref) continue
+    const copy = { ...post, pageId, userId }
+    if (attachments) {
+      copy.attachments = attachments.map(a => (a.path ? { ...a, shared: true } : a))
+      if (attachments.some(a => a.path && !a.shared)) ops.push({ type: 'update', path: 'feed_posts', id, data: { attachments: copy.attachments } })
+    }
+    ops.push({ type: 'set', path: 'feed_posts', id: newId('feed_posts'), data: copy })
+  }
+  return { pageId, ops }
+}
+
+// Storage paths of `attachments` that nothing refers to any more, once the
+// documents that held them are gone. Only shared files need the lookup.
+export async function unusedFiles(store, attachments) {
+  const paths = [...new Set(attachments.filter(a => a.path).map(a => a.path))]
+  if (!attachments.some(a => a.path && a.shared)) return paths
+  const inUse = new Set()
+  for (const path of ['feed_posts', 'post_drafts', 'trash']) {
+    for (const doc of await store.list(path)) (doc.attachments || []).forEach(a => a.path && inUse.add(a.path))
+  }
+  return paths.filter(p => !inUse.has(p))
+}
@@ -0,0 +1,61 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { createLocalStore } from '../storage'
+import { duplicateOps, unusedFiles } from './templates'
+
+const opts = () => {
+  let n = 0
+  return { userId: 'u1', newId: (path) => `${path}-${++n}`, now: 'NOW' }
+}
+const image = (path, extra = {}) => ({ type: 'image', url: `https://files.example/${path}`, path, ...extra })
+
+describe('duplicateOps', () => {
+  const page = { id: 'p1', name: 'Notes', privacyLevel: 'custom', isDefault: true, theme: { accent: '#fff' } }
+  const widgets = [{ id: 'w1', pageId: 'p1', type: 'text', content: 'Hi', panelLocation: 'left', order: 0 }]
+
+  it('copies the page without its default flag', () => {
+    const { pageId, ops } = duplicateOps(page, { widgets, name: 'Notes (copy)' }, opts())
+    expect(ops[0]).toEqual({ type: 'set', path: 'niche_pages', id: pageId, data: { name: 'Notes (copy)', privacyLevel: 'custom', theme: { accent: '#fff' }, userId: 'u1', createdAt: 'NOW' } })
+    expect(ops.slice(1)).toEqual([{ type: 'set', path: 'widgets', id: 'widgets-2', data: { type: 'text', content: 'Hi', panelLocation: 'left', order: 0, userId: 'u1', pageId, createdAt: 'NOW' } }])
+  })
+
+  it('marks files the copy shares with the original on both posts', () => {
+    const posts = [
+      { id: 'a', pageId: 'p1', content: 'pics', attachments: [image('f/1.png'), { type: 'image', url: 'data:image/png;base64,AA', path: null }] },
+      { id: 'b', pageId: 'p1', content: 'again', attachments: [image('f/2.png', { shared: true })] },
+      { id: 'c', pageId: 'p1', content: 'text' },
+      { id: 'd', pageId: 'p1', ref: 'x' },
+    ]
+    const { pageId, ops } = duplicateOps(page, { widgets: [], posts, name: 'Copy' }, opts())
+    const posted = ops.filter(o => o.path === 'feed_posts')
+    expect(posted).toEqual([
+      { type: 'update', path: 'feed_posts', id: 'a', data: { attachments: [image('f/1.png', { shared: true }), { type: 'image', url: 'data:image/png;base64,AA', path: null }] } },
+      { type: 'set', path: 'feed_posts', id: 'feed_posts-2', data: { pageId, userId: 'u1', content: 'pics', attachments: [image('f/1.png', { shared: true }), { type: 'image', url: 'data:image/png;base64,AA', path: null }] } },
+      { type: 'set', path: 'feed_posts', id: 'feed_posts-3', data: { pageId, userId: 'u1', content: 'again', attachments: [image('f/2.png', { shared: true })] } },
+      { type: 'set', path: 'feed_posts', id: 'feed_posts-4', data: { pageId, userId: 'u1', content: 'text' } },
+    ])
+  })
+})
+
+describe('unusedFiles', () => {
+  const storeWith = async (docs) => {
+    const store = createLocalStore(`templates-${Math.random()}`)
+    for (const [path, id, data] of docs) await store.set(path, id, data)
+    return store
+  }
+
+  it('deletes unshared files without looking anything up', async () => {
+    const store = { list: () => { throw new Error('should not list') } }
+    expect(await unusedFiles(store, [image('f/1.png'), image('f/1.png'), { url: 'data:' }])).toEqual(['f/1.png'])
+  })
+
+  it('keeps shared files that a post, draft or trashed item still uses', async () => {
+    const store = await storeWith([
+      ['feed_posts', 'copy', { attachments: [image('f/1.png', { shared: true })] }],
+      ['post_drafts', 'd', { attachments: [image('f/2.png', { shared: true })] }],
+      ['trash', 't', { attachments: [image('f/3.png', { shared: true })] }],
+    ])
+    const gone = ['f/1.png', 'f/2.png', 'f/3.png', 'f/4.png'].map(p => image(p, { shared: true }))
+    expect(await unusedFiles(store, [...gone, image('f/5.png')])).toEqual(['f/4.png', 'f/5.png'])
+  })
+})
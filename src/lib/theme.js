@@ -0,0 +1,121 @@
+// Per-page appearance, stored as `theme` on the niche_pages document.
+// The Tailwind `indigo`, `gray` and `white` colors read CSS variables (see
+// tailwind.config.js and index.css), so a theme only has to set those
+// variables on the page root for every existing class to follow it.
+
+export const DEFAULT_SCENE = 'https://prod.spline.design/qQUip0dJPqrrPryE/scene.splinecode'
+export const DEFAULT_ACCENT = '#6366f1'
+
+export const ACCENTS = ['#6366f1', '#8b5cf6', '#d946ef', '#f43f5e', '#f59e0b', '#10b981', '#14b8a6', '#0ea5e9']
+
+export const BACKGROUNDS = {
+  plain: { label: 'Plain' },
+  glow: { label: 'Accent glow', image: 'radial-gradient(60rem 28rem at 15% -5%, rgb(var(--accent-500) / 0.22), transparent), radial-gradient(48rem 28rem at 100% 20%, rgb(var(--accent-700) / 0.18), transparent)' },
+  dusk: { label: 'Dusk', image: 'linear-gradient(180deg, rgb(var(--accent-900) / 0.55), transparent 42rem)' },
+  grid: { label: 'Grid', image: 'linear-gradient(rgb(var(--contrast) / 0.04) 1px, transparent 1px), linear-gradient(90deg, rgb(var(--contrast) / 0.04) 1px, transparent 1px)', size: '32px 32px' },
+}
+
+// Keys are the font variables already declared in index.css
+export const FONTS = {
+  sans: 'Inter',
+  manrope: 'Manrope',
+  'ibm-plex': 'IBM Plex Sans',
+  geist: 'Geist',
+  'geist-mono': 'Geist Mono',
+}
+
+export const HERO_TYPES = { spline: '3D scene (Spline)', image: 'Banner image', none: 'None' }
+
+export const DEFAULT_THEME = { accent: DEFAULT_ACCENT, background: 'plain', font: 'sans', mode: 'dark', hero: { type: 'spline', sceneUrl: '', imageUrl: '' } }
+
+const HEX = /^#[0-9a-f]{6}$/i
+const HTTPS = /^https:\/\/\S+$/i
+
+export const isHttpsUrl = (value) => HTTPS.test(value || '')
+
+// Fills gaps and drops anything unknown, so a hand-edited or older document cannot break rendering
+export function normalizeTheme(theme) {
+  const t = theme || {}
+  const hero = t.hero || {}
+  return {
+    accent: HEX.test(t.accent) ? t.accent.toLowerCase() : DEFAULT_ACCENT,
+    background: t.background in BACKGROUNDS ? t.background : 'plain',
+    font: t.font in FONTS ? t.font : 'sans',
+    mode: t.mode === 'light' ? 'light' : 'dark',
+    hero: {
+      type: hero.type in HERO_TYPES ? hero.type : 'spline',
+      sceneUrl: isHttpsUrl(hero.sceneUrl) ? hero.sceneUrl : '',
+      imageUrl: isHttpsUrl(hero.imageUrl) ? hero.imageUrl : '',
+    },
+  }
+}
+
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+// Negative mixes toward white, positive toward black
+const MIX = { 50: -0.92, 100: -0.85, 200: -0.7, 300: -0.5, 400: -0.25, 500: 0, 600: 0.15, 700: 0.3, 800: 0.45, 900: 0.58, 950: 0.72 }
+
+const GRAY = {
+  50: '249 250 251', 100: '243 244 246', 200: '229 231 235', 300: '209 213 219', 400: '156 163 175', 500: '107 114 128',
+  600: '75 85 99', 700: '55 65 81', 800: '31 41 55', 900: '17 24 39', 950: '3 7 18',
+}
+
+function accentScale(hex) {
+  const base = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+  const out = {}
+  for (const shade of SHADES) {
+    const m = MIX[shade]
+    out[shade] = base.map(c => Math.round(m < 0 ? c + (255 - c) * -m : c * (1 - m))).join(' ')
+  }
+  return out
+}
+
+// Light mode mirrors both scales, so gray-950 backgrounds turn near-white and
+// accent-300 text turns into the darker accent-700
+const mirror = (scale) => Object.fromEntries(SHADES.map((s, i) => [s, scale[SHADES[SHADES.length - 1 - i]]]))
+
+// Every accent and gray shade as "r g b", for output that cannot read index.css (the static export)
+export function themePalette(theme) {
+  const light = theme.mode === 'light'
+  const accent = accentScale(theme.accent)
+  return {
+    accent: light ? mirror(accent) : accent,
+    gray: light ? mirror(GRAY) : GRAY,
+    contrast: light ? '0 0 0' : '255 255 255',
+  }
+}
+
+// Inline style for the page root. Only what differs from the :root defaults is set.
+export function themeStyle(theme) {
+  const light = theme.mode === 'light'
+  const vars = {}
+  if (theme.accent !== DEFAULT_ACCENT || light) {
+    const accent = accentScale(theme.accent)
+    const scale = light ? mirror(accent) : accent
+    for (const s of SHADES) vars[`--accent-${s}`] = scale[s]
+  }
+  if (light) {
+    const gray = mirror(GRAY)
+    for (const s of SHADES) vars[`--gray-${s}`] = gray[s]
+    vars['--contrast'] = '0 0 0'
+  }
+  const bg = BACKGROUNDS[theme.background]
+  return {
+    ...vars,
+    fontFamily: `var(--font-${theme.font})`,
+    colorScheme: theme.mode,
+    ...(bg.image ? { backgroundImage: bg.image, backgroundSize: bg.size } : {}),
+  }
+}
+
+let webgl
+export function supportsWebGL() {
+  if (webgl === undefined) {
+    try {
+      const canvas = document.createElement('canvas')
+      webgl = !!(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')))
+    } catch {
+      webgl = false
+    }
+  }
+  return webgl
+}
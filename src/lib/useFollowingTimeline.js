@@ -0,0 +1,54 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { FEED_PAGE_SIZE } from './usePagedFeed'
+import { useLiveBound } from './schedule'
+
+// Follows are documents in the viewer's own `follows` collection, id "{ownerUid}_{pageId}"
+export const followId = (ownerUid, pageId) => `${ownerUid}_${pageId}`
+
+// Live posts from every followed, unmuted page, newest first. Each page is its
+// own query for due posts capped at `limit`; the newest `limit` overall are always
+// inside the union of those, so merging and cutting gives a correct timeline, and
+// loadMore() just raises the cap everywhere. `storeFor(ownerUid)` returns a
+// read-only store over that user's data.
+export default function useFollowingTimeline(storeFor, follows, pageSize = FEED_PAGE_SIZE) {
+  const [limit, setLimit] = useState(pageSize)
+  const [sources, setSources] = useState({})
+  const bound = useLiveBound()
+
+  const active = useMemo(() => follows.filter(f => !f.muted), [follows])
+  const key = active.map(f => f.id).sort().join(',')
+
+  useEffect(() => setSources({}), [storeFor])
+
+  const patcher = (f) => (changes) => setSources(all => ({ ...all, [f.id]: { ...all[f.id], ...changes } }))
+  const onErrorFor = (f) => (e) => patcher(f)({ error: e.code === 'permission-denied' ? 'This page is no longer public.' : e.message, posts: [] })
+
+  useEffect(() => {
+    if (!storeFor) return
+    const unsubs = active.map(f => storeFor(f.ownerUid).watch('niche_pages', f.pageId, page => (
+      patcher(f)(page ? { page } : { error: 'This page was deleted.', posts: [] })
+    ), onErrorFor(f)))
+    return () => unsubs.forEach(u => u())
+  }, [storeFor, key])
+
+  // Re-run as the bound moves, which is how newly due posts come in
+  useEffect(() => {
+    if (!storeFor) return
+    const unsubs = active.map(f => storeFor(f.ownerUid).subscribe('feed_posts', {
+      where: ['pageId', f.pageId], upTo: ['timestamp', bound], orderBy: ['timestamp', 'desc'], limit,
+    }, posts => patcher(f)({ posts, error: null }), onErrorFor(f)))
+    return () => unsubs.forEach(u => u())
+  }, [storeFor, key, limit, bound])
+
+  const posts = useMemo(() => active
+    .flatMap(f => (sources[f.id]?.posts || []).map(p => ({ ...p, follow: f, pageName: sources[f.id].page?.name || f.pageName })))
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, limit), [active, sources, limit])
+
+  const loading = active.some(f => !sources[f.id]?.posts)
+  const hasMore = active.some(f => (sources[f.id]?.posts?.length || 0) >= limit)
+  const loadMore = useCallback(() => { if (hasMore) setLimit(n => n + pageSize) }, [hasMore, pageSize])
+  const errors = useMemo(() => Object.fromEntries(active.filter(f => sources[f.id]?.error).map(f => [f.id, sources[f.id].error])), [active, sources])
+
+  return { posts, loading, hasMore, loadMore, errors }
+}
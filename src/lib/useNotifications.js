@@ -0,0 +1,49 @@
+import { useEffect, useMemo, useState } from 'react'
+import { publishedOps, notifySyncFailed } from './notifications'
+import { isLive, useNow } from './schedule'
+
+// The owner's notifications, newest first, plus the two kinds only the owner's
+// own client can notice: scheduled posts coming due and queued writes that failed.
+export default function useNotifications(store, queueEntries) {
+  const [items, setItems] = useState(null)
+  const [scheduled, setScheduled] = useState([])
+
+  useEffect(() => {
+    setItems(null)
+    if (!store) return
+    const unsubs = [
+      store.subscribe('notifications', { orderBy: ['createdAt', 'desc'], limit: 50 }, setItems, () => setItems([])),
+      store.subscribe('feed_posts', { where: ['scheduled', true] }, setScheduled, () => {}),
+    ]
+    return () => unsubs.forEach(u => u())
+  }, [store])
+
+  // Covers every page, not only the open one, and catches up on posts that came due while away
+  const now = useNow(scheduled)
+  const due = useMemo(() => scheduled.filter(p => p.timestamp && isLive(p, now)), [scheduled, now])
+  useEffect(() => {
+    if (!store || !due.length) return
+    store.batch(due.flatMap(p => publishedOps(store, p))).catch(() => {})
+  }, [store, due])
+
+  // Waits for the list so a failure already announced in an earlier session keeps its read state
+  const failed = queueEntries.filter(e => e.status === 'failed')
+  const failedKey = failed.map(e => e.id).join(',')
+  useEffect(() => {
+    if (!store || !items) return
+    const known = new Set(items.map(n => n.id))
+    for (const e of failed) if (!known.has(`sync_${e.id}`)) notifySyncFailed(store, e)
+  }, [store, !!items, failedKey])
+
+  const list = items || []
+  const unread = list.filter(n => !n.read).length
+
+  return {
+    items: list,
+    loaded: items !== null,
+    unread,
+    markRead: (n) => !n.read && store.update('notifications', n.id, { read: true }),
+    markAllRead: () => store.batch(list.filter(n => !n.read).map(n => ({ type: 'update', path: 'notifications', id: n.id, data: { read: true } }))),
+    remove: (n) => store.remove('notifications', n.id),
+  }
+}
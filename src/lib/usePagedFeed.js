@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useLiveBound } from './schedule'
+
+export const FEED_PAGE_SIZE = 20
+
+// Live, cursor-paginated posts for one niche page, newest first.
+// Segment 0 holds the newest posts; each loadMore() adds a segment that starts
+// after the previous one's last doc and pins the previous one to end there, so
+// posts arriving at the top never push already-loaded posts out of the list.
+// With `live`, for visitors, only posts that are due are queried: the open
+// segment follows the moving bound, pinned ones keep the bound they were made with.
+export default function usePagedFeed(store, pageId, { live = false, pageSize = FEED_PAGE_SIZE } = {}) {
+  const bound = useLiveBound(live)
+  const [scope, setScope] = useState({ store, pageId })
+  const [cursors, setCursors] = useState([])
+  const [segments, setSegments] = useState([])
+  const [error, setError] = useState(null)
+  const subs = useRef([])
+
+  if (scope.store !== store || scope.pageId !== pageId) {
+    setScope({ store, pageId })
+    setCursors([])
+    setSegments([])
+    setError(null)
+  }
+
+  useEffect(() => () => {
+    subs.current.forEach(s => s.unsub())
+    subs.current = []
+  }, [store, pageId])
+
+  useEffect(() => {
+    if (!store || !pageId) return
+    const starts = [null, ...cursors]
+    starts.forEach((start, i) => {
+      const end = cursors[i] || null
+      const key = end ? 'pinned' : `open:${bound?.getTime()}`
+      if (subs.current[i]?.key === key) return
+      subs.current[i]?.unsub()
+      const q = {
+        where: ['pageId', pageId],
+        ...(bound && { upTo: ['timestamp', bound] }),
+        orderBy: ['timestamp', 'desc'],
+        ...(start && { startAfter: start }),
+        ...(end ? { endAt: end } : { limit: pageSize }),
+      }
+      const unsub = store.subscribe('feed_posts', q, (docs, last) => {
+        setSegments(list => {
+          const next = [...list]
+          next[i] = { docs, last }
+          return next
+        })
+      }, setError)
+      subs.current[i] = { key, unsub }
+    })
+  }, [store, pageId, cursors, pageSize, bound])
+
+  const tail = segments[cursors.length]
+  const loading = !!store && !!pageId && !tail && !error
+  const hasMore = !!tail && tail.docs.length >= pageSize
+
+  const loadMore = useCallback(() => {
+    if (!hasMore || !tail.last) return
+    setCursors(list => (list.includes(tail.last) ? list : [...list, tail.last]))
+  }, [hasMore, tail])
+
+  const posts = useMemo(() => {
+    const seen = new Set()
+    return segments.flatMap(s => s?.docs || []).filter(p => !seen.has(p.id) && seen.add(p.id))
+  }, [segments])
+
+  return { posts, loading, hasMore, loadMore, error }
+}
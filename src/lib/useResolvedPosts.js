@@ -0,0 +1,27 @@
+import { useEffect, useMemo, useState } from 'react'
+
+// Swaps each cross-post reference in `posts` for the post it points at, kept
+// live, so every page shows the one stored copy. The result keeps the page
+// the reference was listed under as `pageId` and its id as `refId`; anything
+// the caller attached to the reference (like a timeline's source) stays too.
+// References whose post is gone or unreadable are dropped.
+export default function useResolvedPosts(posts, storeOf) {
+  const [targets, setTargets] = useState({})
+  const refs = posts.filter(p => p.ref)
+  const key = refs.map(p => p.ref).sort().join(',')
+
+  useEffect(() => {
+    const set = (id, doc) => setTargets(t => ({ ...t, [id]: doc }))
+    const unsubs = refs.map(p => {
+      const store = storeOf(p)
+      return store ? store.watch('feed_posts', p.ref, doc => set(p.ref, doc), () => set(p.ref, null)) : () => {}
+    })
+    return () => unsubs.forEach(u => u())
+  }, [key, storeOf])
+
+  return useMemo(() => posts.flatMap(p => {
+    if (!p.ref) return [p]
+    const target = targets[p.ref]
+    return target ? [{ ...p, ...target, pageId: p.pageId, refId: p.id, originPageId: target.pageId }] : []
+  }), [posts, targets])
+}
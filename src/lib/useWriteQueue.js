@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useState } from 'react'
+import { createWriteQueue } from '../storage'
+
+// The store's write queue, its live entries and the browser's connectivity.
+// Leftovers from an earlier session are resent as soon as the store is ready.
+export default function useWriteQueue(store) {
+  const queue = useMemo(() => (store ? createWriteQueue(store) : null), [store])
+  const [entries, setEntries] = useState([])
+  const [online, setOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    if (!queue) { setEntries([]); return }
+    setEntries(queue.entries())
+    const unsub = queue.subscribe(setEntries)
+    queue.flush()
+    return unsub
+  }, [queue])
+
+  useEffect(() => {
+    const up = () => { setOnline(true); queue?.flush() }
+    const down = () => setOnline(false)
+    window.addEventListener('online', up)
+    window.addEventListener('offline', down)
+    return () => {
+      window.removeEventListener('online', up)
+      window.removeEventListener('offline', down)
+    }
+  }, [queue])
+
+  return { queue, entries, online }
+}
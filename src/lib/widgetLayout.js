@@ -0,0 +1,35 @@
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0)
+
+export function panelList(widgets, panel) {
+  return widgets.filter(w => w.panelLocation === panel).sort(byOrder)
+}
+
+export function nextOrder(widgets, panel) {
+  const list = panelList(widgets, panel)
+  return list.length ? (list[list.length - 1].order || 0) + 1 : 0
+}
+
+// Plans moving widget `id` into `panel` at `slot`, where slot is an insertion
+// point in that panel's current list (0 = top, length = bottom). Both affected
+// panels are renumbered 0..n-1 so orders never collide; only widgets whose
+// order or panel actually changed are returned.
+export function planMove(widgets, id, panel, slot) {
+  const moving = widgets.find(w => w.id === id)
+  if (!moving) return []
+  const from = moving.panelLocation
+  const target = panelList(widgets, panel)
+  const current = target.findIndex(w => w.id === id)
+  if (current !== -1) {
+    target.splice(current, 1)
+    if (current < slot) slot -= 1
+  }
+  target.splice(Math.max(0, Math.min(slot, target.length)), 0, moving)
+
+  const updates = []
+  const renumber = (list, panelLocation) => list.forEach((w, order) => {
+    if (w.order !== order || w.panelLocation !== panelLocation) updates.push({ id: w.id, panelLocation, order })
+  })
+  renumber(target, panel)
+  if (from !== panel) renumber(panelList(widgets, from).filter(w => w.id !== id), from)
+  return updates
+}
@@ -0,0 +1,83 @@
+// Minimal zip writer: stored (uncompressed) entries with a fixed timestamp, so
+// the same files always give the same bytes. Enough for small exports.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export function crc32(bytes) {
+  let c = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+// 1980-01-01 00:00, the earliest DOS date
+const DOS_TIME = 0
+const DOS_DATE = (1 << 5) | 1
+// General purpose flag bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800
+
+// files: [{ name, data }] where data is a string or Uint8Array; returns the archive as a Uint8Array
+export function zipFiles(files) {
+  const encoder = new TextEncoder()
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, UTF8_FLAG, true)
+    local.setUint16(8, 0, true)
+    local.setUint16(10, DOS_TIME, true)
+    local.setUint16(12, DOS_DATE, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+    locals.push(new Uint8Array(local.buffer), name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, UTF8_FLAG, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, DOS_TIME, true)
+    central.setUint16(14, DOS_DATE, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centrals.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = centrals.reduce((n, part) => n + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0))
+  let at = 0
+  for (const part of parts) { out.set(part, at); at += part.length }
+  return out
+}
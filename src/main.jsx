@@ -10,6 +10,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <BrowserRouter>
       <Routes>
         <Route path="/" element={<App />} />
+        <Route path="/u/:uid/p/:pageId" element={<App />} />
+        <Route path="/u/:uid/p/:pageId/feed/:format" element={<App />} />
+        <Route path="/following" element={<App />} />
         <Route path="/test" element={<Test />} />
       </Routes>
     </BrowserRouter>
@@ -0,0 +1,9 @@
+// localStorage only holds JSON, so the local store and the write queue keep Dates
+// as { $date: ms } and turn them back into Dates when reading
+export function dateReplacer(k, v) {
+  return this[k] instanceof Date ? { $date: this[k].getTime() } : v
+}
+
+export function dateReviver(k, v) {
+  return v && typeof v === 'object' && '$date' in v ? new Date(v.$date) : v
+}
@@ -0,0 +1,99 @@
+import { ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage'
+import { collection, doc, addDoc, setDoc, updateDoc, deleteDoc, getDocs, writeBatch, onSnapshot, query, where, orderBy, limit, startAfter, endAt, serverTimestamp, arrayUnion, arrayRemove, Timestamp } from 'firebase/firestore'
+import { blobToDataUrl } from '../lib/images'
+import { whereClauses } from './query'
+
+// Firestore caps a batch at 500 writes
+const BATCH_LIMIT = 450
+
+// Without a Storage bucket images go into the post as data URLs, as in the local
+// store. A document holds at most 1 MiB, so four of these have to fit in one
+export const INLINE_FILE_LIMIT = 160 * 1024
+
+// Timestamps come back as Dates so callers never handle Firestore types
+function fromSnapshot(d) {
+  const data = d.data({ serverTimestamps: 'estimate' })
+  for (const k in data) if (data[k] instanceof Timestamp) data[k] = data[k].toDate()
+  return { id: d.id, ...data }
+}
+
+// Cursors are the raw DocumentSnapshots handed out by subscribe().
+// `where` is one [field, value] equality or a list of them; `upTo` is [field, value] for field <= value.
+function buildQuery(ref, { where: eq, upTo, orderBy: order, startAfter: after, endAt: end, limit: max } = {}) {
+  const constraints = []
+  if (eq) for (const [field, value] of whereClauses(eq)) constraints.push(where(field, '==', value))
+  if (upTo) constraints.push(where(upTo[0], '<=', upTo[1]))
+  if (order) constraints.push(orderBy(order[0], order[1] || 'asc'))
+  if (after) constraints.push(startAfter(after))
+  if (end) constraints.push(endAt(end))
+  if (max) constraints.push(limit(max))
+  return constraints.length ? query(ref, ...constraints) : ref
+}
+
+export function createFirebaseStore(db, basePath, storage = null) {
+  const col = (path) => collection(db, `${basePath}/${path}`)
+  const ref = (path, id) => doc(db, `${basePath}/${path}`, id)
+
+  return {
+    kind: 'firebase',
+    basePath,
+    inlinesFiles: !storage,
+    now: serverTimestamp,
+    arrayUnion,
+    arrayRemove,
+
+    subscribe(path, q, onData, onError) {
+      return onSnapshot(buildQuery(col(path), q), (snap) => (
+        onData(snap.docs.map(fromSnapshot), snap.docs[snap.docs.length - 1] || null)
+      ), onError)
+    },
+
+    watch(path, id, onData, onError) {
+      return onSnapshot(ref(path, id), (d) => onData(d.exists() ? fromSnapshot(d) : null), onError)
+    },
+
+    async list(path, q) {
+      const snap = await getDocs(buildQuery(col(path), q))
+      return snap.docs.map(fromSnapshot)
+    },
+
+    async add(path, data) {
+      const created = await addDoc(col(path), data)
+      return created.id
+    },
+
+    newId: (path) => doc(col(path)).id,
+    set: (path, id, data) => setDoc(ref(path, id), data),
+    update: (path, id, patch) => updateDoc(ref(path, id), patch),
+    remove: (path, id) => deleteDoc(ref(path, id)),
+
+    // Files live in Cloud Storage under the same base path as the documents
+    async uploadFile(path, blob) {
+      if (!storage) {
+        if (blob.size > INLINE_FILE_LIMIT) throw new Error('This image is too large to save without Firebase Storage. Use a smaller image, or add a storageBucket to the Firebase config.')
+        return { url: await blobToDataUrl(blob), path: null }
+      }
+      const fullPath = `${basePath}/${path}`
+      await uploadBytes(storageRef(storage, fullPath), blob, { contentType: blob.type })
+      return { url: await getDownloadURL(storageRef(storage, fullPath)), path: fullPath }
+    },
+
+    async deleteFile(fullPath) {
+      if (storage && fullPath) await deleteObject(storageRef(storage, fullPath))
+    },
+
+    // ops: [{ type: 'set' | 'update' | 'merge' | 'delete', path, id, data }]; 'merge' creates
+    // the doc when it is missing and otherwise only touches the fields in `data`
+    async batch(ops) {
+      for (let i = 0; i < ops.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db)
+        for (const op of ops.slice(i, i + BATCH_LIMIT)) {
+          if (op.type === 'delete') batch.delete(ref(op.path, op.id))
+          else if (op.type === 'merge') batch.set(ref(op.path, op.id), op.data, { merge: true })
+          else batch[op.type](ref(op.path, op.id), op.data)
+        }
+        await batch.commit()
+      }
+    },
+  }
+}
@@ -0,0 +1,49 @@
+import { HISTORY_FIELDS, revisionsPath } from '../lib/history'
+
+export { createFirebaseStore } from './firebaseStore'
+export { createLocalStore } from './localStore'
+export { createWriteQueue, QUEUED_NOW } from './writeQueue'
+
+// The collections an archive carries (see lib/archive)
+export const COLLECTIONS = ['niche_pages', 'widgets', 'feed_posts', 'post_drafts', 'page_templates']
+
+// Every collection a store holds: COLLECTIONS and the trash at the top level, plus the
+// revisions under each post and widget (see lib/history). A trashed doc keeps its
+// revisions under its old path. Resolves to [path, docs] pairs, top level first.
+async function listStored(store) {
+  const top = []
+  for (const path of [...COLLECTIONS, 'trash']) top.push([path, await store.list(path)])
+  const lists = new Map(top)
+  const owners = [
+    ...Object.keys(HISTORY_FIELDS).flatMap(path => lists.get(path).map(d => [path, d.id])),
+    ...lists.get('trash').filter(t => HISTORY_FIELDS[t.trashedFrom]).map(t => [t.trashedFrom, t.id]),
+  ]
+  const revisions = []
+  for (const [path, id] of owners) {
+    const sub = revisionsPath(path, id)
+    const docs = await store.list(sub)
+    if (docs.length) revisions.push([sub, docs])
+  }
+  return [...top, ...revisions]
+}
+
+// Copies every document from one store into another, keeping ids so pageId
+// references stay valid. `transform` sees the top-level documents; revisions are
+// copied as they are. Returns the number of documents written.
+export async function migrateStore(from, to, transform = (path, data) => data) {
+  const ops = []
+  for (const [path, docs] of await listStored(from)) {
+    const top = !path.includes('/')
+    for (const { id, ...data } of docs) ops.push({ type: 'set', path, id, data: top ? transform(path, data) : data })
+  }
+  await to.batch(ops)
+  return ops.length
+}
+
+export async function clearStore(store) {
+  const ops = []
+  for (const [path, docs] of await listStored(store)) {
+    for (const { id } of docs) ops.push({ type: 'delete', path, id })
+  }
+  await store.batch(ops)
+}
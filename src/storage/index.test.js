@@ -0,0 +1,35 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest'
+import { createLocalStore, migrateStore, clearStore } from '.'
+
+async function seed() {
+  const store = createLocalStore(`from-${Math.random()}`)
+  await store.set('niche_pages', 'p1', { name: 'Notes', privacyLevel: 'public' })
+  await store.set('feed_posts', 'a', { pageId: 'p1', content: 'Now', timestamp: new Date('2024-01-02T00:00:00Z') })
+  await store.set('feed_posts/a/revisions', 'r1', { action: 'edit', data: { content: 'Then' } })
+  await store.set('trash', 'w1', { pageId: 'p1', type: 'text', content: 'Gone', trashedFrom: 'widgets' })
+  await store.set('widgets/w1/revisions', 'r2', { action: 'edit', data: { type: 'text', content: 'Older' } })
+  return store
+}
+
+describe('migrateStore', () => {
+  it('copies the trash and revisions, transforming only top-level documents', async () => {
+    const from = await seed()
+    const to = createLocalStore(`to-${Math.random()}`)
+    expect(await migrateStore(from, to, (path, data) => ({ ...data, userId: 'u1' }))).toBe(5)
+    expect(await to.list('feed_posts')).toEqual([{ id: 'a', pageId: 'p1', content: 'Now', timestamp: new Date('2024-01-02T00:00:00Z'), userId: 'u1' }])
+    expect(await to.list('trash')).toEqual([expect.objectContaining({ id: 'w1', trashedFrom: 'widgets', userId: 'u1' })])
+    expect(await to.list('feed_posts/a/revisions')).toEqual([{ id: 'r1', action: 'edit', data: { content: 'Then' } }])
+    expect(await to.list('widgets/w1/revisions')).toEqual([{ id: 'r2', action: 'edit', data: { type: 'text', content: 'Older' } }])
+  })
+})
+
+describe('clearStore', () => {
+  it('leaves no trash or revisions behind', async () => {
+    const store = await seed()
+    await clearStore(store)
+    for (const path of ['niche_pages', 'feed_posts', 'trash', 'feed_posts/a/revisions', 'widgets/w1/revisions']) {
+      expect(await store.list(path)).toEqual([])
+    }
+  })
+})
@@ -0,0 +1,148 @@
+import { blobToDataUrl } from '../lib/images'
+import { whereClauses } from './query'
+import { dateReplacer, dateReviver } from './dates'
+
+// Offline backend that mirrors the Firestore collections in localStorage.
+// Each collection path is one key holding an { id: doc } map.
+
+const PREFIX = 'selphi_local:'
+const OP = '__selphi_op'
+
+const listeners = new Map()
+
+if (typeof window !== 'undefined') {
+  // Keep other tabs live as well
+  window.addEventListener('storage', (e) => { if (e.key?.startsWith(PREFIX)) notify(e.key) })
+}
+
+function notify(key) {
+  listeners.get(key)?.forEach(fn => fn())
+}
+
+function listen(key, fn) {
+  if (!listeners.has(key)) listeners.set(key, new Set())
+  listeners.get(key).add(fn)
+  return () => listeners.get(key).delete(fn)
+}
+
+function read(key) {
+  try { return JSON.parse(window.localStorage.getItem(key) || '{}', dateReviver) } catch { return {} }
+}
+
+function write(key, docs) {
+  window.localStorage.setItem(key, JSON.stringify(docs, dateReplacer))
+}
+
+function resolveField(current, value) {
+  if (!value || typeof value !== 'object' || !value[OP]) return value
+  if (value[OP] === 'now') return new Date()
+  const list = Array.isArray(current) ? current : []
+  if (value[OP] === 'arrayUnion') return [...list, ...value.values.filter(v => !list.includes(v))]
+  if (value[OP] === 'arrayRemove') return list.filter(v => !value.values.includes(v))
+  return value
+}
+
+function applyPatch(current, patch) {
+  const next = { ...current }
+  for (const k in patch) next[k] = resolveField(current[k], patch[k])
+  return next
+}
+
+const compareValues = (a, b) => (a > b ? 1 : a < b ? -1 : 0)
+
+// Same semantics as Firestore: the order field, then document id, both in the query direction.
+// Cursors are plain docs previously returned by subscribe().
+function runQuery(docs, { where: eq, upTo, orderBy: order, startAfter: after, endAt: end, limit: max } = {}) {
+  let list = Object.entries(docs).map(([id, data]) => ({ id, ...data }))
+  if (eq) for (const [field, value] of whereClauses(eq)) list = list.filter(d => d[field] === value)
+  // Like Firestore, a range filter leaves out docs without the field
+  if (upTo) list = list.filter(d => d[upTo[0]] != null && d[upTo[0]] <= upTo[1])
+  if (order) {
+    const [field, dir] = order
+    const sign = dir === 'desc' ? -1 : 1
+    const compare = (a, b) => (compareValues(a[field], b[field]) || compareValues(a.id, b.id)) * sign
+    list.sort(compare)
+    if (after) list = list.filter(d => compare(d, after) > 0)
+    if (end) list = list.filter(d => compare(d, end) <= 0)
+  }
+  return max ? list.slice(0, max) : list
+}
+
+const newId = () => crypto.randomUUID().replace(/-/g, '').slice(0, 20)
+
+export function createLocalStore(basePath) {
+  const keyFor = (path) => `${PREFIX}${basePath}/${path}`
+
+  const mutate = (path, fn) => {
+    const key = keyFor(path)
+    const docs = read(key)
+    fn(docs)
+    write(key, docs)
+    notify(key)
+  }
+
+  const update = async (path, id, patch) => mutate(path, docs => {
+    if (!docs[id]) throw new Error(`No document ${path}/${id}`)
+    docs[id] = applyPatch(docs[id], patch)
+  })
+
+  return {
+    kind: 'local',
+    inlinesFiles: true,
+    basePath,
+    now: () => ({ [OP]: 'now' }),
+    arrayUnion: (...values) => ({ [OP]: 'arrayUnion', values }),
+    arrayRemove: (...values) => ({ [OP]: 'arrayRemove', values }),
+
+    subscribe(path, q, onData) {
+      const key = keyFor(path)
+      const emit = () => {
+        const list = runQuery(read(key), q)
+        onData(list, list[list.length - 1] || null)
+      }
+      queueMicrotask(emit)
+      return listen(key, emit)
+    },
+
+    watch(path, id, onData) {
+      const key = keyFor(path)
+      const emit = () => {
+        const data = read(key)[id]
+        onData(data ? { id, ...data } : null)
+      }
+      queueMicrotask(emit)
+      return listen(key, emit)
+    },
+
+    list: async (path, q) => runQuery(read(keyFor(path)), q),
+
+    async add(path, data) {
+      const id = newId()
+      mutate(path, docs => { docs[id] = applyPatch({}, data) })
+      return id
+    },
+
+    newId: () => newId(),
+    set: async (path, id, data) => mutate(path, docs => { docs[id] = applyPatch({}, data) }),
+    update,
+    remove: async (path, id) => mutate(path, docs => { delete docs[id] }),
+
+    // No file storage offline: files are inlined into the document as data URLs
+    uploadFile: async (path, blob) => ({ url: await blobToDataUrl(blob), path: null }),
+    deleteFile: async () => {},
+
+    async batch(ops) {
+      const touched = new Map()
+      for (const op of ops) {
+        const key = keyFor(op.path)
+        if (!touched.has(key)) touched.set(key, read(key))
+        const docs = touched.get(key)
+        if (op.type === 'delete') delete docs[op.id]
+        else if (op.type === 'update' || op.type === 'merge') docs[op.id] = applyPatch(docs[op.id] || {}, op.data)
+        else docs[op.id] = applyPatch({}, op.data)
+      }
+      touched.forEach((docs, key) => write(key, docs))
+      touched.forEach((_, key) => notify(key))
+    },
+  }
+}
@@ -0,0 +1,2 @@
+// Normalizes a query's `where` option, a single [field, value] pair or a list of them
+export const whereClauses = (eq) => (Array.isArray(eq[0]) ? eq : [eq])
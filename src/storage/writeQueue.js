@@ -0,0 +1,94 @@
+import { dateReplacer, dateReviver } from './dates'
+
+// Outgoing creates, persisted per store so they survive a reload while offline.
+// Every entry carries a client-generated id and is written with set(), so
+// sending it again after an unacknowledged attempt cannot create a duplicate.
+// Firestore applies a set() to its local cache straight away, which is what
+// gives the optimistic insert; the queue only tracks whether the server has it.
+
+const PREFIX = 'selphi_queue:'
+
+// Stands in for store.now() while the entry is waiting, since server timestamps do not serialize
+export const QUEUED_NOW = { $now: true }
+
+// Errors that say nothing about the write itself; these are retried when the browser comes back online
+const TRANSIENT = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'cancelled', 'storage/retry-limit-exceeded']
+
+export function createWriteQueue(store) {
+  const key = `${PREFIX}${store.basePath}`
+  const listeners = new Set()
+  const inFlight = new Set()
+  let entries = load()
+
+  function load() {
+    try { return JSON.parse(window.localStorage.getItem(key) || '[]', dateReviver) } catch { return [] }
+  }
+
+  function save() {
+    try {
+      if (entries.length) window.localStorage.setItem(key, JSON.stringify(entries, dateReplacer))
+      else window.localStorage.removeItem(key)
+    } catch {}
+    listeners.forEach(fn => fn(entries))
+  }
+
+  const patch = (id, changes) => {
+    entries = entries.map(e => (e.id === id ? { ...e, ...changes } : e))
+    save()
+  }
+
+  const materialize = (data) => Object.fromEntries(Object.entries(data).map(([k, v]) => [k, v && v.$now ? store.now() : v]))
+
+  async function send(entry) {
+    if (inFlight.has(entry.id)) return
+    inFlight.add(entry.id)
+    try {
+      await store.set(entry.path, entry.id, materialize(entry.data))
+      entries = entries.filter(e => e.id !== entry.id)
+      save()
+    } catch (e) {
+      const code = (e.code || '').replace(/^firestore\//, '')
+      patch(entry.id, { status: 'failed', error: e.message, transient: TRANSIENT.includes(code) })
+    } finally {
+      inFlight.delete(entry.id)
+    }
+  }
+
+  return {
+    // Returns the new document's id right away; the write finishes in the background.
+    // `id` is for documents whose id is derived from another one's.
+    enqueue(path, data, label, id = store.newId(path)) {
+      const entry = { id, path, data, label, createdAt: new Date(), status: 'pending' }
+      entries = [...entries, entry]
+      save()
+      send(entry)
+      return entry.id
+    },
+
+    retry(id) {
+      const entry = entries.find(e => e.id === id)
+      if (!entry) return
+      patch(id, { status: 'pending', error: null, transient: false })
+      send(entry)
+    },
+
+    discard(id) {
+      entries = entries.filter(e => e.id !== id)
+      save()
+    },
+
+    // Resends everything left over from an earlier session, plus failures that were only connectivity
+    flush() {
+      for (const e of entries) {
+        if (e.status === 'pending' || e.transient) e.status === 'pending' ? send(e) : this.retry(e.id)
+      }
+    },
+
+    entries: () => entries,
+
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+}
@@ -1,3 +1,6 @@
+const shades = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+const scale = (name) => Object.fromEntries(shades.map(s => [s, `rgb(var(--${name}-${s}) / <alpha-value>)`]))
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -6,6 +9,12 @@ export default {
   ],
   theme: {
     extend: {
+      // Page themes swap these through CSS variables; defaults live in index.css
+      colors: {
+        indigo: scale('accent'),
+        gray: scale('gray'),
+        white: 'rgb(var(--contrast) / <alpha-value>)',
+      },
       fontFamily: {
         sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
         geist: ['Geist', 'system-ui', 'sans-serif'],
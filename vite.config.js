@@ -3,6 +3,11 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // A fixed zone with daylight saving, so local-time tests mean the same everywhere
+    env: { TZ: 'America/New_York' },
+    include: ['src/**/*.test.{js,jsx}'],
+  },
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],